@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const adminSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    adminId: { type: String, required: true, unique: true }, // login ID
+    email: { type: String },
+    password: { type: String, required: true },
+    // super: everything, including managing admins
+    // department: only the regulations/branches listed in scope
+    type: { type: String, enum: ["super", "department"], required: true },
+    scope: {
+      regulations: [
+        { type: mongoose.Schema.Types.ObjectId, ref: "Regulation" },
+      ],
+      branches: [{ type: mongoose.Schema.Types.ObjectId, ref: "Branch" }],
+    },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+const Admin = mongoose.model("Admin", adminSchema);
+export default Admin;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// One mutating request: who did what to which record, and what changed.
+// Secrets (password hashes, token hashes) never reach this collection.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId }, // empty for failed logins
+  actorRole: {
+    type: String,
+    enum: ["student", "faculty", "admin", "anonymous"],
+    required: true,
+  },
+  action: { type: String, required: true }, // e.g. "regulation.delete"
+  entity: { type: String, required: true }, // e.g. "regulation"
+  entityId: { type: mongoose.Schema.Types.ObjectId },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  // { field: { before, after } } for every field that changed
+  changes: { type: mongoose.Schema.Types.Mixed },
+  details: { type: mongoose.Schema.Types.Mixed }, // e.g. cascade counts
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+export default AuditLog;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const branchSchema = new mongoose.Schema(
   {
@@ -13,5 +14,7 @@ const branchSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+branchSchema.plugin(softDeletePlugin);
+
 const Branch = mongoose.model("Branch", branchSchema);
 export default Branch;
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Background ZIP export of every note matching a filter
+const exportJobSchema = new mongoose.Schema({
+  filter: {
+    regulation: { type: mongoose.Schema.Types.ObjectId, ref: "Regulation" },
+    branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch" },
+    semester: { type: String },
+    subject: { type: mongoose.Schema.Types.ObjectId, ref: "Subject" },
+  },
+  layout: { type: String, enum: ["flat", "folders"], default: "folders" },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed", "expired"],
+    default: "queued",
+  },
+  progress: {
+    processed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId }, // account of requestedRole
+  requestedRole: { type: String, required: true },
+  fileKey: { type: String }, // archive in storage once completed
+  includedNotes: [{ type: mongoose.Schema.Types.ObjectId, ref: "Note" }],
+  failedFiles: [
+    {
+      noteId: { type: mongoose.Schema.Types.ObjectId, ref: "Note" },
+      title: String,
+      reason: String,
+    },
+  ],
+  error: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  expiresAt: { type: Date },
+});
+
+exportJobSchema.index({ status: 1, createdAt: 1 });
+
+const ExportJob = mongoose.model("ExportJob", exportJobSchema);
+export default ExportJob;
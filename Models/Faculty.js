@@ -3,7 +3,13 @@ import mongoose from "mongoose";
 const facultySchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
+  // Invited faculty have no password until they accept the invitation
+  password: {
+    type: String,
+    required: function () {
+      return this.status !== "pending";
+    },
+  },
   // branch: {
   //   type: mongoose.Schema.Types.ObjectId,
   //   ref: "Branch",
@@ -12,10 +18,25 @@ const facultySchema = new mongoose.Schema({
   employeeId: { type: String, required: true, unique: true },
   designation: { type: String }, // e.g., Assistant Professor
   createdAt: { type: Date, default: Date.now },
+  status: { type: String, enum: ["pending", "active"], default: "active" },
+  // One-time invitation link, see utils/facultyInvitations.js
+  invitationTokenHash: { type: String },
+  invitation: {
+    // imports queue the mail, see processInvitationQueue
+    status: { type: String, enum: ["queued", "sending", "sent", "failed"] },
+    sentAt: { type: Date },
+    expiresAt: { type: Date },
+    sendCount: { type: Number, default: 0 },
+    acceptedAt: { type: Date },
+  },
 
   // optional - if you want a reverse link
   uploadedNotes: [{ type: mongoose.Schema.Types.ObjectId, ref: "Note" }],
+  // subjects whose notes this faculty may also manage (set by super admins)
+  assignedSubjects: [{ type: mongoose.Schema.Types.ObjectId, ref: "Subject" }],
 });
 
+facultySchema.index({ invitationTokenHash: 1 }, { sparse: true });
+
 const Faculty = mongoose.model("Faculty", facultySchema);
 export default Faculty;
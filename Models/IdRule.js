@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Admin-managed format rules for student roll numbers and faculty employee
+// IDs. An ID is accepted when it satisfies at least one active rule for its
+// role (and, for students, their branch if the rule names one).
+const idRuleSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: ["student", "faculty"], required: true },
+    pattern: { type: String, required: true }, // regex source, e.g. ^22ME
+    length: { type: Number }, // exact length, optional
+    branch: { type: String }, // branch code, e.g. ME (students only)
+    admissionYear: { type: Number }, // e.g. 2022 (students only)
+    description: { type: String },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+const IdRule = mongoose.model("IdRule", idRuleSchema);
+export default IdRule;
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Tracks multipart uploads started through /api/notes/upload/multipart so
+// they can be resumed by their owner and aborted when abandoned.
+const multipartUploadSchema = new mongoose.Schema({
+  fileKey: { type: String, required: true },
+  uploadId: { type: String, required: true, unique: true },
+  originalName: { type: String, required: true },
+  fileType: { type: String, required: true },
+  size: { type: Number },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Faculty",
+    required: true,
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+multipartUploadSchema.index({ createdAt: 1 });
+
+const MultipartUpload = mongoose.model(
+  "MultipartUpload",
+  multipartUploadSchema
+);
+export default MultipartUpload;
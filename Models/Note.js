@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const noteSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -18,6 +19,15 @@ const noteSchema = new mongoose.Schema({
     required: true,
   },
   semester: { type: String, required: true },
+  // Descriptive fields, see utils/noteMetadata.js
+  description: { type: String },
+  tags: [{ type: String }], // lowercase
+  unit: { type: Number }, // syllabus unit / module
+  resourceType: {
+    type: String,
+    enum: ["lecture_notes", "lab_manual", "question_paper", "assignment"],
+  },
+  academicYear: { type: String }, // e.g. "2024-25"
   // Remove old file buffer storage
   fileKey: { type: String, required: true }, // S3 object key
   uploadedBy: {
@@ -26,7 +36,73 @@ const noteSchema = new mongoose.Schema({
     required: true,
   },
   createdAt: { type: Date, default: Date.now },
+  // Review state, see utils/moderation.js. No default: notes from before
+  // moderation are approved, new ones always set a status.
+  moderation: {
+    status: {
+      type: String,
+      enum: ["draft", "pending", "approved", "rejected"],
+    },
+    reason: { type: String }, // why it was rejected
+    submittedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    reviewedAt: { type: Date },
+  },
+  // Student reports, see utils/noteReports.js
+  reports: {
+    open: { type: Number, default: 0 },
+    hiddenAt: { type: Date }, // set once open reports hit the threshold
+  },
+  // Lifetime access counters, see utils/noteAnalytics.js
+  stats: {
+    views: { type: Number, default: 0 },
+    downloads: { type: Number, default: 0 },
+    lastAccessedAt: { type: Date },
+  },
+  // Every file this note has had, see utils/noteVersions.js. fileKey above
+  // is the one of currentVersion.
+  versions: [
+    {
+      version: { type: Number, required: true },
+      fileKey: { type: String, required: true },
+      originalName: { type: String },
+      fileType: { type: String },
+      size: { type: Number },
+      comment: { type: String }, // what changed
+      uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Faculty" },
+      uploadedAt: { type: Date, default: Date.now },
+    },
+  ],
+  currentVersion: { type: Number, default: 1 },
+  // Text extraction state, pages themselves live in NotePage
+  contentIndex: {
+    status: {
+      type: String,
+      enum: ["pending", "indexing", "indexed", "failed", "unsupported"],
+      default: "pending",
+    },
+    pages: { type: Number },
+    error: { type: String },
+    indexedAt: { type: Date },
+  },
+  // First-page images stored next to the file, see utils/notePreviews.js
+  previews: {
+    status: {
+      type: String,
+      enum: ["pending", "generating", "ready", "failed", "unsupported"],
+      default: "pending",
+    },
+    thumbnailKey: { type: String },
+    previewKey: { type: String },
+    error: { type: String },
+    generatedAt: { type: Date },
+  },
 });
 
+noteSchema.index({ tags: 1 });
+noteSchema.index({ "moderation.status": 1, createdAt: 1 });
+
+noteSchema.plugin(softDeletePlugin);
+
 const Note = mongoose.model("Note", noteSchema);
 export default Note;
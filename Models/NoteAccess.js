@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// One issued file URL for a note, see utils/noteAnalytics.js. The note's
+// place in the catalog is copied in so trending and per-faculty stats
+// don't need a lookup.
+const noteAccessSchema = new mongoose.Schema({
+  note: { type: mongoose.Schema.Types.ObjectId, ref: "Note", required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: "Subject" },
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch" },
+  regulation: { type: mongoose.Schema.Types.ObjectId, ref: "Regulation" },
+  semester: { type: String },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Faculty" },
+  kind: { type: String, enum: ["view", "download"], required: true },
+  source: { type: String }, // e.g. "subject", "download_zip"
+  user: { type: mongoose.Schema.Types.ObjectId }, // empty for anonymous
+  userRole: {
+    type: String,
+    enum: ["student", "faculty", "admin", "anonymous"],
+  },
+  own: { type: Boolean, default: false }, // the uploader's own access
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+noteAccessSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+noteAccessSchema.index({ branch: 1, semester: 1, createdAt: -1 });
+noteAccessSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+const NoteAccess = mongoose.model("NoteAccess", noteAccessSchema);
+export default NoteAccess;
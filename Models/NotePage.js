@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Extracted text of one page of a note's PDF, used for content search
+const notePageSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Note",
+    required: true,
+  },
+  page: { type: Number, required: true },
+  text: { type: String, default: "" },
+});
+
+notePageSchema.index({ note: 1, page: 1 }, { unique: true });
+notePageSchema.index({ text: "text" });
+
+const NotePage = mongoose.model("NotePage", notePageSchema);
+export default NotePage;
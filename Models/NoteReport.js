@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// A student's complaint about a note. Open reports are triaged per note by
+// admins and the uploader, see utils/noteReports.js.
+const noteReportSchema = new mongoose.Schema({
+  note: { type: mongoose.Schema.Types.ObjectId, ref: "Note", required: true },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: [
+      "wrong_subject",
+      "corrupted_file",
+      "inappropriate",
+      "duplicate",
+      "other",
+    ],
+    required: true,
+  },
+  comment: { type: String },
+  status: {
+    type: String,
+    enum: ["open", "resolved", "dismissed"],
+    default: "open",
+  },
+  resolution: {
+    action: { type: String }, // move | replace | delete | dismiss
+    comment: { type: String },
+    by: { type: mongoose.Schema.Types.ObjectId },
+    byRole: { type: String },
+    at: { type: Date },
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One open report per student and note
+noteReportSchema.index(
+  { note: 1, reportedBy: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+noteReportSchema.index({ status: 1, note: 1 });
+
+const NoteReport = mongoose.model("NoteReport", noteReportSchema);
+export default NoteReport;
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// One document per key issued by /api/notes/upload. save-notes only accepts
+// keys that have a matching record for the same faculty.
+const pendingUploadSchema = new mongoose.Schema({
+  fileKey: { type: String, required: true, unique: true },
+  originalName: { type: String, required: true },
+  fileType: { type: String, required: true },
+  size: { type: Number }, // size announced by the client, if any
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Faculty",
+    required: true,
+  },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+// Let MongoDB drop keys that were never saved
+pendingUploadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PendingUpload = mongoose.model("PendingUpload", pendingUploadSchema);
+export default PendingUpload;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// One delete action. The deleted record and every descendant removed with
+// it point back here through deletedWith, so a restore brings back exactly
+// that set. Purged (with the files in storage) after purgeAfter.
+const recycleBinEntrySchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    enum: ["regulation", "branch", "subject", "note"],
+    required: true,
+  },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  label: { type: String }, // name / title at the time of deletion
+  // where the record sat in the hierarchy (scope checks, nested purges)
+  regulation: { type: mongoose.Schema.Types.ObjectId, ref: "Regulation" },
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch" },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: "Subject" },
+  counts: {
+    branches: { type: Number, default: 0 },
+    subjects: { type: Number, default: 0 },
+    notes: { type: Number, default: 0 },
+  },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId },
+  deletedByRole: { type: String },
+  deletedAt: { type: Date, default: Date.now },
+  purgeAfter: { type: Date, required: true },
+});
+
+recycleBinEntrySchema.index({ purgeAfter: 1 });
+recycleBinEntrySchema.index({ entity: 1, deletedAt: -1 });
+
+const RecycleBinEntry = mongoose.model(
+  "RecycleBinEntry",
+  recycleBinEntrySchema
+);
+export default RecycleBinEntry;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const regulationSchema = new mongoose.Schema(
   {
@@ -8,5 +9,7 @@ const regulationSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+regulationSchema.plugin(softDeletePlugin);
+
 const Regulation = mongoose.model("Regulation", regulationSchema);
 export default Regulation;
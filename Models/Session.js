@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// One login session. The refresh token rotates on every use; only its hash
+// is stored. Access tokens carry the session id (sid) so revoking the
+// session cuts them off too.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, required: true },
+  role: {
+    type: String,
+    enum: ["student", "faculty", "admin"],
+    required: true,
+  },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: { type: String }, // for reuse detection
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+});
+
+sessionSchema.index({ user: 1, role: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
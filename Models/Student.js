@@ -7,6 +7,14 @@ const studentSchema = new mongoose.Schema({
   branch: { type: String, required: true },
   rollNumber: { type: String, required: true, unique: true },
   favoriteNotes: [{ type: mongoose.Schema.Types.ObjectId, ref: "Note" }], //  only note IDs 
+  // named groups of favorites, e.g. "Mid-1 prep"
+  collections: [
+    {
+      name: { type: String, required: true },
+      notes: [{ type: mongoose.Schema.Types.ObjectId, ref: "Note" }],
+      createdAt: { type: Date, default: Date.now },
+    },
+  ],
   createdAt: { type: Date, default: Date.now },
 });
 
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const subjectSchema = new mongoose.Schema(
   {
@@ -10,11 +11,18 @@ const subjectSchema = new mongoose.Schema(
       required: true,
     },
     semester: { type: Number, required: true },
+    // Access counters of its notes, see utils/noteAnalytics.js
+    stats: {
+      views: { type: Number, default: 0 },
+      downloads: { type: Number, default: 0 },
+    },
   },
   { timestamps: true }
 );
 
 subjectSchema.index({ code: 1, branch: 1, semester: 1 }, { unique: true });
 
+subjectSchema.plugin(softDeletePlugin);
+
 const Subject = mongoose.model("Subject", subjectSchema);
 export default Subject;
@@ -1,4 +1,6 @@
 // routes/admin.js
+import fs from "fs";
+import { pipeline } from "stream/promises";
 import express from "express";
 import mongoose from "mongoose";
 
@@ -7,20 +9,294 @@ import Branch from "../Models/Branch.js";
 import Subject from "../Models/Subject.js";
 import Faculty from "../Models/Faculty.js";
 import Note from "../Models/Note.js";
+import IdRule from "../Models/IdRule.js";
+import Admin from "../Models/Admin.js";
 
-import { getDownloadURL, deleteFile } from "../utils/s3.js"; // S3 helpers
+import { getDownloadURL } from "../utils/s3.js"; // S3 helpers
+import { recordNoteAccess } from "../utils/noteAnalytics.js";
+import { buildAdminStats } from "../utils/adminStats.js";
+import { backupFile, importFile } from "../middleware/importFile.js";
+import {
+  BACKUP_FORMATS,
+  RESTORE_MODES,
+  applyRestore,
+  buildBackup,
+  planRestore,
+  readBackupFile,
+  restoreReport,
+  streamBackupArchive,
+} from "../utils/backup.js";
+import {
+  importFacultyCsv,
+  sendInvitation,
+} from "../utils/facultyInvitations.js";
+import {
+  applyCurriculumImport,
+  curriculumFromRequest,
+  curriculumReport,
+  planCurriculumImport,
+} from "../utils/curriculumImport.js";
 import { authMiddleware } from "../middleware/auth.js";
+import { previewUrlsFor, queueNotePreviews } from "../utils/notePreviews.js";
+import { validateRuleFields } from "../utils/idRules.js";
+import { revokeUserSessions } from "../utils/sessions.js";
+import { saveBranch, saveRegulation, saveSubject } from "../utils/catalog.js";
+import { buildMetadataFilter } from "../utils/noteMetadata.js";
+import { NOTE_STATUSES, applyModeration } from "../utils/moderation.js";
+import AuditLog from "../Models/AuditLog.js";
+import RecycleBinEntry from "../Models/RecycleBinEntry.js";
+import {
+  moveToRecycleBin,
+  purgeRecycleBinEntry,
+  restoreFromRecycleBin,
+} from "../utils/recycleBin.js";
+import {
+  AUDIT_CSV_HEADER,
+  auditCsvRow,
+  buildAuditFilter,
+  recordAudit,
+} from "../utils/audit.js";
+import { loadAdminScope, scopeQuery } from "../utils/adminScope.js";
+import {
+  DENY_CODES,
+  authorize,
+  deny,
+  sendDenied,
+} from "../utils/permissions.js";
 
 const router = express.Router();
 
-// Admin middleware
-export const adminMiddleware = (req, res, next) => {
+// Admin middleware: loads the admin account and its scope
+// (req.adminScope is null for super admins)
+export const adminMiddleware = async (req, res, next) => {
+  const adminRequired = deny(
+    DENY_CODES.ADMIN_REQUIRED,
+    "Admin access required"
+  );
   if (!req.user || req.user.role !== "admin") {
-    return res.status(403).json({ message: "Admin access required" });
+    return sendDenied(res, adminRequired);
   }
+  try {
+    const admin = await Admin.findById(req.user.id);
+    if (!admin || !admin.active) {
+      return sendDenied(res, adminRequired);
+    }
+    req.admin = admin;
+    req.adminScope = await loadAdminScope(admin);
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Super admin only: admin accounts, faculty accounts, ID rules, audit log
+export const superAdminMiddleware = async (req, res, next) => {
+  const decision = await authorize.superAdmin(req);
+  if (!decision.allowed) return sendDenied(res, decision);
   next();
 };
 
+/* ------------------- ADMIN ACCOUNT ROUTES ------------------- */
+const withoutPassword = (doc) => {
+  const obj = doc.toObject();
+  delete obj.password;
+  return obj;
+};
+
+// Returns an error message, or null when type/scope are consistent
+const validateAdminScope = (type, scope = {}) => {
+  if (!["super", "department"].includes(type))
+    return "type must be super or department";
+  const ids = [...(scope.regulations || []), ...(scope.branches || [])];
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id)))
+    return "Invalid regulation or branch ID in scope";
+  if (type === "department" && !ids.length)
+    return "Department admins need at least one regulation or branch";
+  return null;
+};
+
+router.get(
+  "/admins",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const admins = await Admin.find()
+        .sort({ createdAt: -1 })
+        .select("-password")
+        .populate("scope.regulations", "name")
+        .populate("scope.branches", "name code");
+      res.json(admins);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+router.post(
+  "/admins",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const { name, adminId, email, password, type, scope } = req.body;
+      if (!name || !adminId || !password || !type)
+        return res.status(400).json({ message: "Required fields missing" });
+      const scopeError = validateAdminScope(type, scope);
+      if (scopeError) return res.status(400).json({ message: scopeError });
+      if (await Admin.findOne({ adminId }))
+        return res.status(400).json({ message: "Admin ID already exists" });
+
+      const bcrypt = await import("bcryptjs");
+      const admin = new Admin({
+        name,
+        adminId,
+        email,
+        password: await bcrypt.hash(password, 10),
+        type,
+        scope: type === "department" ? scope : {},
+      });
+      const saved = await admin.save();
+      await recordAudit(req, {
+        action: "admin.create",
+        entity: "admin",
+        after: saved,
+      });
+      res.status(201).json(withoutPassword(saved));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+router.put(
+  "/admins/:id",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(400).json({ message: "Invalid ID" });
+
+      const admin = await Admin.findById(id);
+      if (!admin) return res.status(404).json({ message: "Admin not found" });
+
+      const { name, email, password, type, scope } = req.body;
+      const nextType = type || admin.type;
+      const nextScope = scope || admin.scope;
+      if (admin._id.equals(req.admin._id) && nextType !== "super")
+        return res
+          .status(400)
+          .json({ message: "You cannot remove your own super admin role" });
+      const scopeError = validateAdminScope(nextType, nextScope);
+      if (scopeError) return res.status(400).json({ message: scopeError });
+
+      const before = admin.toObject();
+      if (name) admin.name = name;
+      if (email) admin.email = email;
+      admin.type = nextType;
+      admin.scope = nextType === "department" ? nextScope : {};
+      if (password) {
+        const bcrypt = await import("bcryptjs");
+        admin.password = await bcrypt.hash(password, 10);
+      }
+
+      const updated = await admin.save();
+      if (password)
+        await revokeUserSessions(admin._id, "admin", "password change");
+      await recordAudit(req, {
+        action: "admin.update",
+        entity: "admin",
+        before,
+        after: updated,
+      });
+      res.json(withoutPassword(updated));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Disabling ends the admin's sessions right away
+router.post(
+  "/admins/:id/disable",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(400).json({ message: "Invalid ID" });
+      if (req.admin._id.equals(id))
+        return res
+          .status(400)
+          .json({ message: "You cannot disable your own account" });
+
+      const admin = await Admin.findByIdAndUpdate(
+        id,
+        { active: false },
+        { new: true }
+      );
+      if (!admin) return res.status(404).json({ message: "Admin not found" });
+      await recordAudit(req, {
+        action: "admin.disable",
+        entity: "admin",
+        entityId: admin._id,
+        before: { active: true },
+        after: { active: false },
+      });
+      await revokeUserSessions(admin._id, "admin", "account disabled");
+
+      res.json(withoutPassword(admin));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+router.post(
+  "/admins/:id/enable",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(400).json({ message: "Invalid ID" });
+
+      const admin = await Admin.findByIdAndUpdate(
+        id,
+        { active: true },
+        { new: true }
+      );
+      if (!admin) return res.status(404).json({ message: "Admin not found" });
+      await recordAudit(req, {
+        action: "admin.enable",
+        entity: "admin",
+        entityId: admin._id,
+        before: { active: false },
+        after: { active: true },
+      });
+
+      res.json(withoutPassword(admin));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 /* ------------------- REGULATION ROUTES ------------------- */
 router.get(
   "/regulations",
@@ -28,7 +304,9 @@ router.get(
   adminMiddleware,
   async (req, res) => {
     try {
-      const regs = await Regulation.find().sort({ createdAt: -1 });
+      const regs = await Regulation.find(
+        scopeQuery.regulation(req.adminScope)
+      ).sort({ createdAt: -1 });
       res.json(regs);
     } catch (err) {
       console.error(err);
@@ -41,16 +319,18 @@ router.post(
   "/regulations",
   authMiddleware,
   adminMiddleware,
+  superAdminMiddleware,
   async (req, res) => {
     try {
-      const { name, numberOfSemesters } = req.body;
-      if (!name || !numberOfSemesters)
-        return res
-          .status(400)
-          .json({ message: "Name and numberOfSemesters required" });
-      const reg = new Regulation({ name, numberOfSemesters });
-      const saved = await reg.save();
-      res.status(201).json(saved);
+      const result = await saveRegulation(req.body);
+      if (result.error)
+        return res.status(result.status).json({ message: result.error });
+      await recordAudit(req, {
+        action: "regulation.create",
+        entity: "regulation",
+        after: result.doc,
+      });
+      res.status(201).json(result.doc);
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: "Server error" });
@@ -67,12 +347,22 @@ router.put(
       const { id } = req.params;
       if (!mongoose.Types.ObjectId.isValid(id))
         return res.status(400).json({ message: "Invalid ID" });
-      const updated = await Regulation.findByIdAndUpdate(id, req.body, {
-        new: true,
-      });
-      if (!updated)
+      const decision = await authorize.regulation(req, id);
+      if (!decision.allowed) return sendDenied(res, decision);
+      const regulation = await Regulation.findById(id);
+      if (!regulation)
         return res.status(404).json({ message: "Regulation not found" });
-      res.json(updated);
+      const before = regulation.toObject();
+      const result = await saveRegulation(req.body, regulation);
+      if (result.error)
+        return res.status(result.status).json({ message: result.error });
+      await recordAudit(req, {
+        action: "regulation.update",
+        entity: "regulation",
+        before,
+        after: result.doc,
+      });
+      res.json(result.doc);
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: "Server error" });
@@ -85,57 +375,32 @@ router.delete(
   authMiddleware,
   adminMiddleware,
   async (req, res) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
     try {
       const { id } = req.params;
       if (!mongoose.Types.ObjectId.isValid(id))
         return res.status(400).json({ message: "Invalid ID" });
 
-      const regulation = await Regulation.findById(id).session(session);
+      const regulation = await Regulation.findById(id);
       if (!regulation)
         return res.status(404).json({ message: "Regulation not found" });
+      const decision = await authorize.regulation(req, id);
+      if (!decision.allowed) return sendDenied(res, decision);
 
-      const notes = await Note.find({ regulation: id }).session(session);
-      for (const note of notes) await deleteFile(note.fileKey);
-      await Note.deleteMany({ regulation: id }).session(session);
-
-      const branches = await Branch.find({ regulation: id }).session(session);
-      for (const branch of branches) {
-        const branchNotes = await Note.find({ branch: branch._id }).session(
-          session
-        );
-        for (const note of branchNotes) await deleteFile(note.fileKey);
-        await Note.deleteMany({ branch: branch._id }).session(session);
-
-        const subjects = await Subject.find({ branch: branch._id }).session(
-          session
-        );
-        for (const subject of subjects) {
-          const subjectNotes = await Note.find({
-            subject: subject._id,
-          }).session(session);
-          for (const note of subjectNotes) await deleteFile(note.fileKey);
-          await Note.deleteMany({ subject: subject._id }).session(session);
-        }
-
-        await Subject.deleteMany({ branch: branch._id }).session(session);
-      }
-
-      await Branch.deleteMany({ regulation: id }).session(session);
-      await Regulation.findByIdAndDelete(id).session(session);
-
-      await session.commitTransaction();
-      session.endSession();
+      const entry = await moveToRecycleBin(req, "regulation", regulation);
+      await recordAudit(req, {
+        action: "regulation.delete",
+        entity: "regulation",
+        before: regulation,
+        details: { recycleBinEntry: entry._id, ...entry.counts.toObject() },
+      });
       res.json({
         message:
-          "Regulation and all related branches, subjects, and notes deleted successfully.",
+          "Regulation and all related branches, subjects, and notes moved to the recycle bin.",
+        entry,
       });
     } catch (err) {
-      await session.abortTransaction();
-      session.endSession();
-      console.error("Transaction failed:", err);
-      res.status(500).json({ message: "Error during cascade delete" });
+      console.error("Regulation delete failed:", err);
+      res.status(500).json({ message: "Error deleting regulation" });
     }
   }
 );
@@ -143,7 +408,9 @@ router.delete(
 /* ------------------- BRANCH ROUTES ------------------- */
 router.get("/branches", authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const branches = await Branch.find().populate("regulation", "name");
+    const branches = await Branch.find(
+      scopeQuery.branch(req.adminScope)
+    ).populate("regulation", "name");
     res.json(branches);
   } catch (err) {
     console.error(err);
@@ -153,12 +420,17 @@ router.get("/branches", authMiddleware, adminMiddleware, async (req, res) => {
 
 router.post("/branches", authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { name, code, regulation } = req.body;
-    if (!name || !code || !regulation)
-      return res.status(400).json({ message: "All fields required" });
-    const branch = new Branch({ name, code, regulation });
-    const saved = await branch.save();
-    res.status(201).json(saved);
+    const decision = await authorize.regulation(req, req.body.regulation);
+    if (!decision.allowed) return sendDenied(res, decision);
+    const result = await saveBranch(req.body);
+    if (result.error)
+      return res.status(result.status).json({ message: result.error });
+    await recordAudit(req, {
+      action: "branch.create",
+      entity: "branch",
+      after: result.doc,
+    });
+    res.status(201).json(result.doc);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: "Server error" });
@@ -174,12 +446,25 @@ router.put(
       const { id } = req.params;
       if (!mongoose.Types.ObjectId.isValid(id))
         return res.status(400).json({ message: "Invalid ID" });
-      const updated = await Branch.findByIdAndUpdate(id, req.body, {
-        new: true,
+      for (const decision of [
+        await authorize.branch(req, id),
+        req.body.regulation &&
+          (await authorize.regulation(req, req.body.regulation)),
+      ])
+        if (decision && !decision.allowed) return sendDenied(res, decision);
+      const branch = await Branch.findById(id);
+      if (!branch) return res.status(404).json({ message: "Branch not found" });
+      const before = branch.toObject();
+      const result = await saveBranch(req.body, branch);
+      if (result.error)
+        return res.status(result.status).json({ message: result.error });
+      await recordAudit(req, {
+        action: "branch.update",
+        entity: "branch",
+        before,
+        after: result.doc,
       });
-      if (!updated)
-        return res.status(404).json({ message: "Branch not found" });
-      res.json(updated);
+      res.json(result.doc);
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: "Server error" });
@@ -192,32 +477,29 @@ router.delete(
   authMiddleware,
   adminMiddleware,
   async (req, res) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
     try {
       const { id } = req.params;
       if (!mongoose.Types.ObjectId.isValid(id))
         return res.status(400).json({ message: "Invalid ID" });
 
-      const branch = await Branch.findById(id).session(session);
+      const branch = await Branch.findById(id);
       if (!branch) return res.status(404).json({ message: "Branch not found" });
+      const decision = await authorize.branch(req, id);
+      if (!decision.allowed) return sendDenied(res, decision);
 
-      const branchNotes = await Note.find({ branch: id }).session(session);
-      for (const note of branchNotes) await deleteFile(note.fileKey);
-      await Note.deleteMany({ branch: id }).session(session);
-
-      await Subject.deleteMany({ branch: id }).session(session);
-      await Branch.findByIdAndDelete(id).session(session);
-
-      await session.commitTransaction();
-      session.endSession();
+      const entry = await moveToRecycleBin(req, "branch", branch);
+      await recordAudit(req, {
+        action: "branch.delete",
+        entity: "branch",
+        before: branch,
+        details: { recycleBinEntry: entry._id, ...entry.counts.toObject() },
+      });
       res.json({
-        message: "Branch and related subjects/notes deleted successfully.",
+        message: "Branch and related subjects/notes moved to the recycle bin.",
+        entry,
       });
     } catch (err) {
-      await session.abortTransaction();
-      session.endSession();
-      console.error("Branch delete transaction failed:", err);
+      console.error("Branch delete failed:", err);
       res.status(500).json({ message: "Error deleting branch" });
     }
   }
@@ -226,7 +508,7 @@ router.delete(
 /* ------------------- SUBJECT ROUTES ------------------- */
 router.get("/subjects", authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const subjects = await Subject.find()
+    const subjects = await Subject.find(scopeQuery.subject(req.adminScope))
       .populate("branch", "name")
       .sort({ createdAt: -1 });
     res.json(subjects);
@@ -238,12 +520,17 @@ router.get("/subjects", authMiddleware, adminMiddleware, async (req, res) => {
 
 router.post("/subjects", authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { name, code, branch, semester } = req.body;
-    if (!name || !code || !branch || !semester)
-      return res.status(400).json({ message: "All fields required" });
-    const subject = new Subject({ name, code, branch, semester });
-    const saved = await subject.save();
-    res.status(201).json(saved);
+    const decision = await authorize.branch(req, req.body.branch);
+    if (!decision.allowed) return sendDenied(res, decision);
+    const result = await saveSubject(req.body);
+    if (result.error)
+      return res.status(result.status).json({ message: result.error });
+    await recordAudit(req, {
+      action: "subject.create",
+      entity: "subject",
+      after: result.doc,
+    });
+    res.status(201).json(result.doc);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: "Server error" });
@@ -259,12 +546,25 @@ router.put(
       const { id } = req.params;
       if (!mongoose.Types.ObjectId.isValid(id))
         return res.status(400).json({ message: "Invalid ID" });
-      const updated = await Subject.findByIdAndUpdate(id, req.body, {
-        new: true,
-      });
-      if (!updated)
+      const subject = await Subject.findById(id);
+      if (!subject)
         return res.status(404).json({ message: "Subject not found" });
-      res.json(updated);
+      for (const decision of [
+        await authorize.subject(req, subject),
+        req.body.branch && (await authorize.branch(req, req.body.branch)),
+      ])
+        if (decision && !decision.allowed) return sendDenied(res, decision);
+      const before = subject.toObject();
+      const result = await saveSubject(req.body, subject);
+      if (result.error)
+        return res.status(result.status).json({ message: result.error });
+      await recordAudit(req, {
+        action: "subject.update",
+        entity: "subject",
+        before,
+        after: result.doc,
+      });
+      res.json(result.doc);
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: "Server error" });
@@ -277,31 +577,85 @@ router.delete(
   authMiddleware,
   adminMiddleware,
   async (req, res) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
     try {
       const { id } = req.params;
       if (!mongoose.Types.ObjectId.isValid(id))
         return res.status(400).json({ message: "Invalid ID" });
 
-      const subject = await Subject.findById(id).session(session);
+      const subject = await Subject.findById(id);
       if (!subject)
         return res.status(404).json({ message: "Subject not found" });
+      const decision = await authorize.subject(req, subject);
+      if (!decision.allowed) return sendDenied(res, decision);
 
-      const notes = await Note.find({ subject: id }).session(session);
-      for (const note of notes) await deleteFile(note.fileKey);
-      await Note.deleteMany({ subject: id }).session(session);
+      const entry = await moveToRecycleBin(req, "subject", subject);
+      await recordAudit(req, {
+        action: "subject.delete",
+        entity: "subject",
+        before: subject,
+        details: { recycleBinEntry: entry._id, ...entry.counts.toObject() },
+      });
+      res.json({
+        message: "Subject and related notes moved to the recycle bin.",
+        entry,
+      });
+    } catch (err) {
+      console.error("Subject delete failed:", err);
+      res.status(500).json({ message: "Error deleting subject" });
+    }
+  }
+);
 
-      await Subject.findByIdAndDelete(id).session(session);
+/* ------------------- CURRICULUM IMPORT ROUTES ------------------- */
+// POST /api/admin/curriculum/import?dryRun=true
+// JSON body or multipart "file" (.csv / .json), format in
+// utils/curriculumImport.js. A dry run only reports errors and duplicates;
+// otherwise everything is created in one transaction, or nothing is.
+router.post(
+  "/curriculum/import",
+  authMiddleware,
+  adminMiddleware,
+  importFile,
+  async (req, res) => {
+    try {
+      const input = curriculumFromRequest(req);
+      if (input.error) return res.status(400).json({ message: input.error });
+
+      const plan = await planCurriculumImport(req, input.curriculum);
+      if (plan.denied) return sendDenied(res, plan.denied);
+      plan.errors.unshift(...input.errors);
+      const report = curriculumReport(plan);
 
-      await session.commitTransaction();
-      session.endSession();
-      res.json({ message: "Subject and related notes deleted successfully." });
+      const dryRun = ["true", "1"].includes(
+        String(req.query.dryRun ?? req.body?.dryRun)
+      );
+      if (dryRun) return res.json({ dryRun, ...report });
+      if (!report.valid)
+        return res.status(400).json({
+          message: "The curriculum has errors, nothing was imported",
+          dryRun,
+          ...report,
+        });
+
+      const result = await applyCurriculumImport(plan);
+      if (result.error)
+        return res.status(result.status).json({ message: result.error });
+      await recordAudit(req, {
+        action: "curriculum.import",
+        entity: "regulation",
+        entityId: result.regulation._id,
+        details: { regulation: report.regulation, counts: report.counts },
+      });
+
+      res.status(201).json({
+        message: "Curriculum imported",
+        dryRun,
+        regulationId: result.regulation._id,
+        ...report,
+      });
     } catch (err) {
-      await session.abortTransaction();
-      session.endSession();
-      console.error("Subject delete transaction failed:", err);
-      res.status(500).json({ message: "Error deleting subject" });
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
     }
   }
 );
@@ -311,7 +665,7 @@ router.get("/faculty", authMiddleware, adminMiddleware, async (req, res) => {
   try {
     const faculty = await Faculty.find()
       .sort({ createdAt: -1 })
-      .select("-password");
+      .select("-password -invitationTokenHash");
     res.json(faculty);
   } catch (err) {
     console.error(err);
@@ -319,51 +673,148 @@ router.get("/faculty", authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
-router.post("/faculty", authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const { name, email, password, employeeId, designation } = req.body;
-    if (!name || !email || !password || !employeeId || !designation)
-      return res.status(400).json({ message: "Required fields missing" });
-    if (await Faculty.findOne({ email }))
-      return res.status(400).json({ message: "Email already exists" });
-    if (await Faculty.findOne({ employeeId }))
-      return res.status(400).json({ message: "Employee ID already exists" });
-
-    const bcrypt = await import("bcryptjs");
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    const faculty = new Faculty({
-      name,
-      email,
-      password: hashedPassword,
-      employeeId,
-      designation,
-    });
-    const saved = await faculty.save();
-    const savedWithoutPassword = saved.toObject();
-    delete savedWithoutPassword.password;
+router.post(
+  "/faculty",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const { name, email, password, employeeId, designation } = req.body;
+      if (!name || !email || !password || !employeeId || !designation)
+        return res.status(400).json({ message: "Required fields missing" });
+      if (await Faculty.findOne({ email }))
+        return res.status(400).json({ message: "Email already exists" });
+      if (await Faculty.findOne({ employeeId }))
+        return res.status(400).json({ message: "Employee ID already exists" });
 
-    res.status(201).json(savedWithoutPassword);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
+      const bcrypt = await import("bcryptjs");
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      const faculty = new Faculty({
+        name,
+        email,
+        password: hashedPassword,
+        employeeId,
+        designation,
+      });
+      const saved = await faculty.save();
+      await recordAudit(req, {
+        action: "faculty.create",
+        entity: "faculty",
+        after: saved,
+      });
+      const savedWithoutPassword = saved.toObject();
+      delete savedWithoutPassword.password;
+
+      res.status(201).json(savedWithoutPassword);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
+
+// POST /api/admin/faculty/import: multipart "file" or a "csv" text field
+// with name,email,employeeId,designation. New rows become pending accounts
+// whose invitation links are mailed in the background (invitation.status
+// in GET /faculty); the response reports every row.
+router.post(
+  "/faculty/import",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  importFile,
+  async (req, res) => {
+    try {
+      const csv = req.file ? req.file.buffer.toString("utf8") : req.body?.csv;
+      if (typeof csv !== "string")
+        return res.status(400).json({ message: "Upload a CSV file" });
+
+      const result = await importFacultyCsv(csv);
+      if (result.error) return res.status(400).json({ message: result.error });
+      await recordAudit(req, {
+        action: "faculty.import",
+        entity: "faculty",
+        details: {
+          ...result.summary,
+          created: result.report
+            .filter((r) => r.status === "created")
+            .map((r) => r.facultyId),
+        },
+      });
+
+      res.status(result.summary.created ? 201 : 200).json(result);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Re-sends the invitation of a pending faculty member with a new link (the
+// old one stops working)
+router.post(
+  "/faculty/:id/invitation",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(400).json({ message: "Invalid ID" });
+      const faculty = await Faculty.findById(id);
+      if (!faculty)
+        return res.status(404).json({ message: "Faculty not found" });
+      if (faculty.status !== "pending")
+        return res
+          .status(400)
+          .json({ message: "This faculty member already has an account" });
+
+      const { sent, expiresAt } = await sendInvitation(faculty);
+      await recordAudit(req, {
+        action: "faculty.invite",
+        entity: "faculty",
+        entityId: faculty._id,
+        details: { sent, sendCount: faculty.invitation.sendCount },
+      });
+      if (!sent)
+        return res
+          .status(502)
+          .json({ message: "Could not send the invitation email" });
+
+      res.json({ message: `Invitation sent to ${faculty.email}`, expiresAt });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
 
 router.put(
   "/faculty/:id",
   authMiddleware,
   adminMiddleware,
+  superAdminMiddleware,
   async (req, res) => {
     try {
       const { id } = req.params;
       if (!mongoose.Types.ObjectId.isValid(id))
         return res.status(400).json({ message: "Invalid ID" });
 
-      const { name, email, designation, password, employeeId } = req.body;
+      const {
+        name,
+        email,
+        designation,
+        password,
+        employeeId,
+        assignedSubjects,
+      } = req.body;
       const faculty = await Faculty.findById(id);
       if (!faculty)
         return res.status(404).json({ message: "Faculty not found" });
+      const before = faculty.toObject();
 
       if (email && email !== faculty.email) {
         const emailExists = await Faculty.findOne({ email, _id: { $ne: id } });
@@ -386,14 +837,31 @@ router.put(
 
       if (name) faculty.name = name;
       if (designation) faculty.designation = designation;
+      if (Array.isArray(assignedSubjects)) {
+        if (!assignedSubjects.every((s) => mongoose.Types.ObjectId.isValid(s)))
+          return res.status(400).json({ message: "Invalid subject ID" });
+        faculty.assignedSubjects = assignedSubjects;
+      }
       if (password) {
         const bcrypt = await import("bcryptjs");
         faculty.password = await bcrypt.hash(password, 10);
+        // a password set by an admin replaces a pending invitation
+        faculty.status = "active";
+        faculty.invitationTokenHash = undefined;
       }
 
       const updated = await faculty.save();
+      if (password)
+        await revokeUserSessions(faculty._id, "faculty", "password change");
+      await recordAudit(req, {
+        action: "faculty.update",
+        entity: "faculty",
+        before,
+        after: updated,
+      });
       const updatedWithoutPassword = updated.toObject();
       delete updatedWithoutPassword.password;
+      delete updatedWithoutPassword.invitationTokenHash;
       res.json(updatedWithoutPassword);
     } catch (err) {
       console.error(err);
@@ -406,6 +874,7 @@ router.delete(
   "/faculty/:id",
   authMiddleware,
   adminMiddleware,
+  superAdminMiddleware,
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -415,6 +884,12 @@ router.delete(
       const deleted = await Faculty.findByIdAndDelete(id);
       if (!deleted)
         return res.status(404).json({ message: "Faculty not found" });
+      await revokeUserSessions(deleted._id, "faculty", "account deleted");
+      await recordAudit(req, {
+        action: "faculty.delete",
+        entity: "faculty",
+        before: deleted,
+      });
 
       res.json({ message: "Faculty deleted" });
     } catch (err) {
@@ -436,6 +911,7 @@ router.get(
 
       const faculty = await Faculty.findById(id).populate({
         path: "uploadedNotes",
+        match: scopeQuery.note(req.adminScope),
         populate: [
           { path: "subject", select: "name code" },
           { path: "branch", select: "name" },
@@ -453,17 +929,156 @@ router.get(
   }
 );
 
+/* ------------------- ID RULE ROUTES ------------------- */
+// Roll number / employee ID formats checked at registration
+router.get("/id-rules", authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    const rules = await IdRule.find(filter).sort({ role: 1, createdAt: -1 });
+    res.json(rules);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post(
+  "/id-rules",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const {
+        role,
+        pattern,
+        length,
+        branch,
+        admissionYear,
+        description,
+        active,
+      } = req.body;
+      const error = validateRuleFields({ role, pattern, length });
+      if (error) return res.status(400).json({ message: error });
+
+      const rule = new IdRule({
+        role,
+        pattern,
+        length,
+        branch,
+        admissionYear,
+        description,
+        active,
+      });
+      const saved = await rule.save();
+      await recordAudit(req, {
+        action: "idRule.create",
+        entity: "idRule",
+        after: saved,
+      });
+      res.status(201).json(saved);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+router.put(
+  "/id-rules/:id",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(400).json({ message: "Invalid ID" });
+
+      const rule = await IdRule.findById(id);
+      if (!rule) return res.status(404).json({ message: "Rule not found" });
+      const before = rule.toObject();
+
+      const fields = [
+        "role",
+        "pattern",
+        "length",
+        "branch",
+        "admissionYear",
+        "description",
+        "active",
+      ];
+      for (const field of fields)
+        if (req.body[field] !== undefined) rule[field] = req.body[field];
+
+      const error = validateRuleFields(rule);
+      if (error) return res.status(400).json({ message: error });
+
+      const updated = await rule.save();
+      await recordAudit(req, {
+        action: "idRule.update",
+        entity: "idRule",
+        before,
+        after: updated,
+      });
+      res.json(updated);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+router.delete(
+  "/id-rules/:id",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(400).json({ message: "Invalid ID" });
+
+      const deleted = await IdRule.findByIdAndDelete(id);
+      if (!deleted) return res.status(404).json({ message: "Rule not found" });
+      await recordAudit(req, {
+        action: "idRule.delete",
+        entity: "idRule",
+        before: deleted,
+      });
+
+      res.json({ message: "Rule deleted" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 /* ------------------- NOTES ROUTES ------------------- */
 router.get("/notes", authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { regulation, branch, semester, subject } = req.query;
-    const filter = {};
+    const { regulation, branch, semester, subject, status } = req.query;
+    const metadataFilter = buildMetadataFilter(req.query);
+    if (metadataFilter.error)
+      return res.status(400).json({ message: metadataFilter.error });
+    if (status && !NOTE_STATUSES.includes(status))
+      return res.status(400).json({
+        message: `status must be one of: ${NOTE_STATUSES.join(", ")}`,
+      });
+    const filter = { ...metadataFilter.filter };
     if (regulation) filter.regulation = regulation;
     if (branch) filter.branch = branch;
     if (semester) filter.semester = semester;
     if (subject) filter.subject = subject;
+    if (status) filter["moderation.status"] = status;
 
-    const notes = await Note.find(filter, "-fileKey")
+    const notes = await Note.find(
+      { $and: [filter, scopeQuery.note(req.adminScope)] },
+      "-fileKey"
+    )
       .populate("regulation", "name")
       .populate("branch", "name")
       .populate("subject", "name code")
@@ -472,7 +1087,13 @@ router.get("/notes", authMiddleware, adminMiddleware, async (req, res) => {
         "name email designation employeeId uploadedNotes"
       );
 
-    res.json(notes);
+    const notesWithPreviews = await Promise.all(
+      notes.map(async (note) => ({
+        ...note.toObject(),
+        ...(await previewUrlsFor(note)),
+      }))
+    );
+    res.json(notesWithPreviews);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: "Server error" });
@@ -484,8 +1105,14 @@ router.get("/notes/:id/file", authMiddleware, adminMiddleware, async (req, res)
     const note = await Note.findById(req.params.id);
     if (!note || !note.fileKey)
       return res.status(404).json({ message: "File not found" });
+    const decision = await authorize.note(req, note);
+    if (!decision.allowed) return sendDenied(res, decision);
 
     const fileUrl = await getDownloadURL(note.fileKey);
+    await recordNoteAccess(req, note, {
+      kind: "download",
+      source: "admin_file",
+    });
     res.json({ url: fileUrl }); // <-- return JSON with signed URL
   } catch (err) {
     console.error(err);
@@ -494,6 +1121,31 @@ router.get("/notes/:id/file", authMiddleware, adminMiddleware, async (req, res)
 });
 
 
+router.post(
+  "/notes/:id/previews",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const note = await Note.findById(req.params.id);
+      if (!note) return res.status(404).json({ message: "Note not found" });
+      const decision = await authorize.note(req, note);
+      if (!decision.allowed) return sendDenied(res, decision);
+
+      await queueNotePreviews([note._id]);
+      await recordAudit(req, {
+        action: "note.previews",
+        entity: "note",
+        entityId: note._id,
+      });
+      res.status(202).json({ message: "Preview regeneration queued" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 router.delete(
   "/notes/:id",
   authMiddleware,
@@ -502,14 +1154,395 @@ router.delete(
     try {
       const note = await Note.findById(req.params.id);
       if (!note) return res.status(404).json({ message: "Note not found" });
+      const decision = await authorize.note(req, note);
+      if (!decision.allowed) return sendDenied(res, decision);
+
+      const entry = await moveToRecycleBin(req, "note", note);
+      await recordAudit(req, {
+        action: "note.delete",
+        entity: "note",
+        before: note,
+        details: { recycleBinEntry: entry._id },
+      });
+
+      res.json({ message: "Note moved to the recycle bin", entry });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/* ------------------- MODERATION ROUTES ------------------- */
+// GET /api/admin/moderation/queue?status=pending|rejected|approved|draft
+//                                 &branch=&subject=
+// Oldest submission first, plus how many notes are in each status
+router.get(
+  "/moderation/queue",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const { status = "pending", branch, subject } = req.query;
+      if (!NOTE_STATUSES.includes(status))
+        return res.status(400).json({
+          message: `status must be one of: ${NOTE_STATUSES.join(", ")}`,
+        });
+      const scope = scopeQuery.note(req.adminScope);
+      const filter = {};
+      if (branch) filter.branch = branch;
+      if (subject) filter.subject = subject;
+
+      const [notes, ...counts] = await Promise.all([
+        Note.find(
+          { $and: [filter, scope, { "moderation.status": status }] },
+          "-fileKey"
+        )
+          .populate("regulation", "name")
+          .populate("branch", "name")
+          .populate("subject", "name code")
+          .populate("uploadedBy", "name email employeeId")
+          .sort({ "moderation.submittedAt": 1, createdAt: 1 }),
+        ...NOTE_STATUSES.map((s) =>
+          Note.countDocuments({
+            $and: [filter, scope, { "moderation.status": s }],
+          })
+        ),
+      ]);
 
-      await deleteFile(note.fileKey);
-      await Note.findByIdAndDelete(req.params.id);
+      const notesWithPreviews = await Promise.all(
+        notes.map(async (note) => ({
+          ...note.toObject(),
+          ...(await previewUrlsFor(note)),
+        }))
+      );
+      res.json({
+        status,
+        counts: Object.fromEntries(NOTE_STATUSES.map((s, i) => [s, counts[i]])),
+        notes: notesWithPreviews,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Approve / reject share everything but the transition
+const moderateNote = (action) => async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) return res.status(404).json({ message: "Note not found" });
+    const decision = await authorize.note(req, note);
+    if (!decision.allowed) return sendDenied(res, decision);
+
+    const before = note.toObject();
+    const result = await applyModeration(note, action, {
+      by: req.admin._id,
+      reason: req.body.reason,
+    });
+    if (result.error) return res.status(400).json({ message: result.error });
+    await recordAudit(req, {
+      action: `note.${action}`,
+      entity: "note",
+      before,
+      after: note,
+    });
+
+    res.json({
+      message: action === "approve" ? "Note approved" : "Note rejected",
+      moderation: note.moderation,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
 
-      res.json({ message: "Note deleted" });
+router.post(
+  "/notes/:id/approve",
+  authMiddleware,
+  adminMiddleware,
+  moderateNote("approve")
+);
+
+// body: { reason } (required, shown to the uploader)
+router.post(
+  "/notes/:id/reject",
+  authMiddleware,
+  adminMiddleware,
+  moderateNote("reject")
+);
+
+/* ------------------- RECYCLE BIN ROUTES ------------------- */
+// GET /api/admin/recycle-bin?entity=regulation|branch|subject|note
+router.get("/recycle-bin", authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.entity) filter.entity = String(req.query.entity);
+    const entries = await RecycleBinEntry.find({
+      $and: [filter, scopeQuery.recycleBin(req.adminScope)],
+    }).sort({ deletedAt: -1 });
+    res.json(entries);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post(
+  "/recycle-bin/:id/restore",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(400).json({ message: "Invalid ID" });
+      const entry = await RecycleBinEntry.findById(id);
+      if (!entry) return res.status(404).json({ message: "Entry not found" });
+      const decision = await authorize.recycleBinEntry(req, entry);
+      if (!decision.allowed) return sendDenied(res, decision);
+
+      const result = await restoreFromRecycleBin(entry);
+      if (result.error) return res.status(400).json({ message: result.error });
+      await recordAudit(req, {
+        action: `${entry.entity}.restore`,
+        entity: entry.entity,
+        entityId: entry.entityId,
+        details: { recycleBinEntry: entry._id, ...result.restored.toObject() },
+      });
+      res.json({ message: "Restored", restored: result.restored });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Permanent: documents and files in storage are gone afterwards
+router.delete(
+  "/recycle-bin/:id",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id))
+        return res.status(400).json({ message: "Invalid ID" });
+      const entry = await RecycleBinEntry.findById(id);
+      if (!entry) return res.status(404).json({ message: "Entry not found" });
+      const decision = await authorize.recycleBinEntry(req, entry);
+      if (!decision.allowed) return sendDenied(res, decision);
+
+      const purged = await purgeRecycleBinEntry(entry);
+      await recordAudit(req, {
+        action: `${entry.entity}.purge`,
+        entity: entry.entity,
+        entityId: entry.entityId,
+        details: { recycleBinEntry: entry._id, ...purged },
+      });
+      res.json({ message: "Permanently deleted", ...purged });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/* ------------------- AUDIT LOG ROUTES ------------------- */
+// Super admins only: entries span every department and account changes
+// GET /api/admin/audit-logs?actor=&actorRole=&entity=&entityId=&action=
+//                           &from=&to=&page=&limit=
+router.get(
+  "/audit-logs",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const query = buildAuditFilter(req.query);
+      if (query.error) return res.status(400).json({ message: query.error });
+
+      const { filter, page, limit } = query;
+      const [total, logs] = await Promise.all([
+        AuditLog.countDocuments(filter),
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+      ]);
+      res.json({
+        logs,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Same filters, every matching entry as CSV (paging params are ignored)
+router.get(
+  "/audit-logs/export",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const query = buildAuditFilter({ ...req.query, page: 1, limit: 1 });
+      if (query.error) return res.status(400).json({ message: query.error });
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="audit-log-${Date.now()}.csv"`
+      );
+      const cursor = AuditLog.find(query.filter)
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor();
+      // pipeline waits for the client to drain and stops the cursor if it
+      // goes away
+      await pipeline(
+        cursor,
+        async function* (logs) {
+          yield AUDIT_CSV_HEADER.join(",") + "\n";
+          for await (const log of logs) yield auditCsvRow(log) + "\n";
+        },
+        res
+      );
+    } catch (err) {
+      console.error(err);
+      if (!res.headersSent) res.status(500).json({ message: "Server error" });
+      else res.end();
+    }
+  }
+);
+
+/* ------------------- DASHBOARD STATS ROUTES ------------------- */
+// GET /api/admin/stats?months= (uploads-over-time window, default 12)
+router.get("/stats", authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    res.json(await buildAdminStats(req.adminScope, req.query));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ------------------- BACKUP ROUTES ------------------- */
+// GET /api/admin/backup?format=json|zip&files=true
+// Catalog, faculty (no passwords) and note metadata, see utils/backup.js.
+// files=true adds every stored note file and needs format=zip.
+router.get(
+  "/backup",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  async (req, res) => {
+    try {
+      const format = req.query.format || "json";
+      if (!BACKUP_FORMATS.includes(format))
+        return res.status(400).json({
+          message: `format must be one of: ${BACKUP_FORMATS.join(", ")}`,
+        });
+      const includeFiles = ["true", "1"].includes(String(req.query.files));
+      if (includeFiles && format !== "zip")
+        return res.status(400).json({ message: "files=true needs format=zip" });
+
+      const bundle = await buildBackup({ includeFiles });
+      const filename = `backup-${bundle.createdAt.slice(0, 10)}.${format}`;
+      await recordAudit(req, {
+        action: "backup.export",
+        entity: "backup",
+        details: { format, includeFiles, counts: bundle.counts },
+      });
+
+      res.attachment(filename);
+      if (format === "json") return res.json(bundle);
+      res.type("application/zip");
+      await streamBackupArchive(bundle, res, { includeFiles });
+    } catch (err) {
+      console.error(err);
+      // Once bytes are out the status can't change, just cut the download
+      if (res.headersSent) return res.destroy(err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// POST /api/admin/backup/restore?mode=restore|merge&dryRun=true
+// multipart "file": a backup .json or .zip. mode=restore needs an empty
+// database and keeps the original ids; mode=merge (default) matches
+// existing records and gives new ones fresh ids. Conflicting records are
+// skipped and reported.
+router.post(
+  "/backup/restore",
+  authMiddleware,
+  adminMiddleware,
+  superAdminMiddleware,
+  backupFile,
+  async (req, res) => {
+    let zip = null;
+    try {
+      if (!req.file)
+        return res.status(400).json({ message: "Upload a backup file" });
+      const mode = req.query.mode || req.body?.mode || "merge";
+      if (!RESTORE_MODES.includes(mode))
+        return res.status(400).json({
+          message: `mode must be one of: ${RESTORE_MODES.join(", ")}`,
+        });
+
+      const input = await readBackupFile(req.file);
+      if (input.error) return res.status(400).json({ message: input.error });
+      zip = input.zip;
+
+      const plan = await planRestore(input.bundle, { mode, zip });
+      if (plan.error)
+        return res.status(plan.status).json({ message: plan.error });
+      const report = restoreReport(plan);
+
+      const dryRun = ["true", "1"].includes(
+        String(req.query.dryRun ?? req.body?.dryRun)
+      );
+      if (dryRun) return res.json({ dryRun, ...report });
+
+      const result = await applyRestore(plan, { zip });
+      if (result.error)
+        return res.status(result.status).json({ message: result.error });
+      await recordAudit(req, {
+        action: "backup.restore",
+        entity: "backup",
+        details: {
+          mode,
+          backupCreatedAt: input.bundle.createdAt,
+          counts: report.counts,
+          conflicts: report.conflicts.length,
+          filesUploaded: result.uploaded,
+        },
+      });
+
+      res.status(201).json({
+        message: "Backup restored",
+        dryRun,
+        ...report,
+        files: {
+          ...report.files,
+          uploaded: result.uploaded,
+          failed: result.failed,
+        },
+      });
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: "Server error" });
+    } finally {
+      await zip?.close();
+      if (req.file) await fs.promises.rm(req.file.path, { force: true });
     }
   }
 );
@@ -6,6 +6,20 @@ import jwt from "jsonwebtoken";
 import nodemailer from "nodemailer";
 import Faculty from "../Models/Faculty.js";
 import Student from "../Models/Student.js";
+import Admin from "../Models/Admin.js";
+import { validateIdentifier } from "../utils/idRules.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} from "../utils/sessions.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  acceptInvitation,
+  findInvitation,
+} from "../utils/facultyInvitations.js";
 
 const router = express.Router();
 
@@ -27,79 +41,80 @@ const router = express.Router();
 //   else console.log("[SMTP Ready: Gmail connected]");
 // });
 
-//  JWT
-const generateToken = (id, role) =>
-  jwt.sign({ id, role }, process.env.JWT_SECRET, { expiresIn: "1h" });
-
-// router.post("/student/register", async (req, res) => {
-//   const { name, email, password, branch, rollNumber } = req.body;
-
-//   try {
-//     const rollRegex = /^(22ME|23ME|24ME|25ME)/;
-//     if (!rollRegex.test(rollNumber)) {
-//       return res.status(400).json({
-//         message: "Invalid Roll Number ",
-//       });
-//     }
-//     if (rollNumber.length !== 10) {
-//       return res.status(400).json({
-//         message: "Invalid Roll Number",
-//       });
-//     }
-
-//     const emailExists = await Student.findOne({ email });
-//     if (emailExists) {
-//       return res.status(400).json({ message: "Email already used" });
-//     }
-//     const rollExists = await Student.findOne({ rollNumber });
-//     if (rollExists) {
-//       return res.status(400).json({ message: "Roll Number already used" });
-//     }
-
-//     const hashedPassword = await bcrypt.hash(password, 10);
-
-//     const student = await Student.create({
-//       name,
-//       email,
-//       password: hashedPassword,
-//       branch,
-//       rollNumber,
-//     });
-
-//     const token = generateToken(student._id, "student");
-
-//     res.status(201).json({
-//       message: "Student registered successfully",
-//       student: {
-//         id: student._id,
-//         name,
-//         email,
-//         branch,
-//         rollNumber,
-//         role: "student",
-//       },
-//       token,
-//     });
-//   } catch (err) {
-//     console.error(err);
-//     res.status(500).json({ message: "Server error" });
-//   }
-// });
+//  JWT: short-lived access token + rotating refresh token, see utils/sessions.js
+
+router.post("/student/register", async (req, res) => {
+  const { name, email, password, branch, rollNumber } = req.body;
+
+  try {
+    if (!name || !email || !password || !branch || !rollNumber) {
+      return res.status(400).json({ message: "Required fields missing" });
+    }
+
+    const rollError = await validateIdentifier("student", rollNumber, {
+      branch,
+    });
+    if (rollError) {
+      return res.status(400).json({ message: rollError });
+    }
+
+    const emailExists = await Student.findOne({ email });
+    if (emailExists) {
+      return res.status(400).json({ message: "Email already used" });
+    }
+    const rollExists = await Student.findOne({ rollNumber });
+    if (rollExists) {
+      return res.status(400).json({ message: "Roll Number already used" });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const student = await Student.create({
+      name,
+      email,
+      password: hashedPassword,
+      branch,
+      rollNumber,
+    });
+
+    const { token, refreshToken } = await createSession(
+      student._id,
+      "student",
+      req
+    );
+    await recordAudit(req, {
+      action: "student.register",
+      entity: "student",
+      after: student,
+      actor: { id: student._id, role: "student" },
+    });
+
+    res.status(201).json({
+      message: "Student registered successfully",
+      student: {
+        id: student._id,
+        name,
+        email,
+        branch,
+        rollNumber,
+        role: "student",
+      },
+      token,
+      refreshToken,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
 router.post("/faculty/register", async (req, res) => {
   const { name, email, password, branch, employeeId, designation } = req.body;
 
   try {
-    const empRegex = /^RCEEME/;
-    if (!empRegex.test(employeeId)) {
-      return res.status(400).json({
-        message: "Invalid Employee ID",
-      });
-    }
-    if (employeeId.length !== 10) {
-      return res.status(400).json({
-        message: "Invalid Employee ID",
-      });
+    const empError = await validateIdentifier("faculty", employeeId);
+    if (empError) {
+      return res.status(400).json({ message: empError });
     }
 
     // Check email
@@ -126,7 +141,17 @@ router.post("/faculty/register", async (req, res) => {
       designation,
     });
 
-    const token = generateToken(faculty._id, "faculty");
+    const { token, refreshToken } = await createSession(
+      faculty._id,
+      "faculty",
+      req
+    );
+    await recordAudit(req, {
+      action: "faculty.register",
+      entity: "faculty",
+      after: faculty,
+      actor: { id: faculty._id, role: "faculty" },
+    });
 
     res.status(201).json({
       message: "Faculty registered successfully",
@@ -140,6 +165,7 @@ router.post("/faculty/register", async (req, res) => {
         role: "faculty",
       },
       token,
+      refreshToken,
     });
   } catch (err) {
     console.error(err);
@@ -147,45 +173,70 @@ router.post("/faculty/register", async (req, res) => {
   }
 });
 
-// router.post("/student/login", async (req, res) => {
-//   const { rollNumber, password } = req.body;
-//   try {
-//     const student = await Student.findOne({ rollNumber });
-//     if (!student) return res.status(400).json({ message: "No user found" });
-
-//     const isMatch = await bcrypt.compare(password, student.password);
-//     if (!isMatch)
-//       return res.status(400).json({ message: "Invalid credentials" });
-
-//     const token = generateToken(student._id, "student");
-//     res.json({
-//       message: "Login successful",
-//       student: {
-//         id: student._id,
-//         name: student.name,
-//         rollNumber: student.rollNumber,
-//         branch: student.branch,
-//         role: "student",
-//       },
-//       token,
-//     });
-//   } catch (err) {
-//     console.error(err);
-//     res.status(500).json({ message: "Server error" });
-//   }
-// });
+router.post("/student/login", async (req, res) => {
+  const { rollNumber, password } = req.body;
+  try {
+    const student = await Student.findOne({ rollNumber });
+    if (!student) return res.status(400).json({ message: "No user found" });
+
+    const isMatch = await bcrypt.compare(password, student.password);
+    if (!isMatch)
+      return res.status(400).json({ message: "Invalid credentials" });
+
+    const { token, refreshToken } = await createSession(
+      student._id,
+      "student",
+      req
+    );
+    await recordAudit(req, {
+      action: "auth.login",
+      entity: "student",
+      entityId: student._id,
+      actor: { id: student._id, role: "student" },
+    });
+    res.json({
+      message: "Login successful",
+      student: {
+        id: student._id,
+        name: student.name,
+        rollNumber: student.rollNumber,
+        branch: student.branch,
+        role: "student",
+      },
+      token,
+      refreshToken,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
 router.post("/faculty/login", async (req, res) => {
   const { employeeId, password } = req.body;
   try {
     const faculty = await Faculty.findOne({ employeeId });
     if (!faculty) return res.status(400).json({ message: "No user found" });
+    if (faculty.status === "pending")
+      return res.status(400).json({
+        message: "Accept your invitation email to set a password first",
+      });
 
     const isMatch = await bcrypt.compare(password, faculty.password);
     if (!isMatch)
       return res.status(400).json({ message: "Invalid credentials" });
 
-    const token = generateToken(faculty._id, "faculty");
+    const { token, refreshToken } = await createSession(
+      faculty._id,
+      "faculty",
+      req
+    );
+    await recordAudit(req, {
+      action: "auth.login",
+      entity: "faculty",
+      entityId: faculty._id,
+      actor: { id: faculty._id, role: "faculty" },
+    });
     res.json({
       message: "Login successful",
       faculty: {
@@ -197,6 +248,7 @@ router.post("/faculty/login", async (req, res) => {
         role: "faculty",
       },
       token,
+      refreshToken,
     });
   } catch (err) {
     console.error(err);
@@ -204,22 +256,112 @@ router.post("/faculty/login", async (req, res) => {
   }
 });
 
-router.post("/admin/login", (req, res) => {
+router.post("/admin/login", async (req, res) => {
   const { adminId, password } = req.body;
-  if (
-    adminId === process.env.ADMIN_ID &&
-    password === process.env.ADMIN_PASSWORD
-  ) {
-    const token = jwt.sign({ role: "admin" }, process.env.JWT_SECRET, {
-      expiresIn: "1d",
+  try {
+    let admin = await Admin.findOne({ adminId });
+
+    // First login on a fresh database: the ADMIN_ID / ADMIN_PASSWORD from
+    // .env become the first super admin, stored hashed like everyone else
+    if (
+      !admin &&
+      process.env.ADMIN_ID &&
+      adminId === process.env.ADMIN_ID &&
+      password === process.env.ADMIN_PASSWORD &&
+      !(await Admin.exists({}))
+    ) {
+      admin = await Admin.create({
+        name: "Admin",
+        adminId,
+        password: await bcrypt.hash(password, 10),
+        type: "super",
+      });
+      await recordAudit(req, {
+        action: "admin.bootstrap",
+        entity: "admin",
+        after: admin,
+        actor: { id: admin._id, role: "admin" },
+      });
+    }
+
+    if (!admin || !admin.active)
+      return res.status(400).json({ message: "Invalid credentials" });
+
+    const isMatch = await bcrypt.compare(password, admin.password);
+    if (!isMatch)
+      return res.status(400).json({ message: "Invalid credentials" });
+
+    const { token, refreshToken } = await createSession(
+      admin._id,
+      "admin",
+      req
+    );
+    await recordAudit(req, {
+      action: "auth.login",
+      entity: "admin",
+      entityId: admin._id,
+      actor: { id: admin._id, role: "admin" },
     });
-    return res.json({
+    res.json({
       message: "Login successful",
-      admin: { name: "Admin", role: "admin" },
+      admin: {
+        id: admin._id,
+        name: admin.name,
+        adminId: admin.adminId,
+        type: admin.type,
+        scope: admin.scope,
+        role: "admin",
+      },
       token,
+      refreshToken,
     });
-  } else {
-    return res.status(400).json({ message: "Invalid credentials" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the old one stops working).
+// Not audited: clients call this every few minutes.
+router.post("/refresh", async (req, res) => {
+  try {
+    const result = await rotateSession(req.body.refreshToken);
+    if (result.error) return res.status(401).json({ message: result.error });
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/logout", authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+    await recordAudit(req, {
+      action: "auth.logout",
+      entity: "session",
+      entityId: req.user.sid,
+    });
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Ends every session of the current user on every device
+router.post("/logout-all", authMiddleware, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id, req.user.role);
+    await recordAudit(req, {
+      action: "auth.logoutAll",
+      entity: req.user.role,
+      entityId: req.user.id,
+    });
+    res.json({ message: "Logged out from all devices" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
   }
 });
 
@@ -272,8 +414,17 @@ router.post("/reset-password/:token", async (req, res) => {
     if (!user) return res.status(400).json({ message: "User not found" });
 
     const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const before = user.toObject();
     user.password = hashedPassword;
     await user.save();
+    await revokeUserSessions(user._id, decoded.role, "password reset");
+    await recordAudit(req, {
+      action: "auth.resetPassword",
+      entity: decoded.role,
+      before,
+      after: user,
+      actor: { id: user._id, role: decoded.role },
+    });
 
     res.json({ message: "Password reset successfully" });
   } catch (err) {
@@ -282,4 +433,42 @@ router.post("/reset-password/:token", async (req, res) => {
   }
 });
 
+// Faculty invitations (admin CSV import): show who the link is for, then
+// set the password
+router.get("/invitations/:token", async (req, res) => {
+  try {
+    const { faculty, error } = await findInvitation(req.params.token);
+    if (error) return res.status(400).json({ message: error });
+    res.json({
+      name: faculty.name,
+      email: faculty.email,
+      employeeId: faculty.employeeId,
+      expiresAt: faculty.invitation.expiresAt,
+    });
+  } catch (err) {
+    console.error("[Invitation]", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/invitations/:token/accept", async (req, res) => {
+  try {
+    const { faculty, error } = await acceptInvitation(
+      req.params.token,
+      req.body.password
+    );
+    if (error) return res.status(400).json({ message: error });
+    await recordAudit(req, {
+      action: "auth.acceptInvitation",
+      entity: "faculty",
+      entityId: faculty._id,
+      actor: { id: faculty._id, role: "faculty" },
+    });
+    res.json({ message: "Password set, you can log in now" });
+  } catch (err) {
+    console.error("[AcceptInvitation]", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 export default router;
@@ -5,6 +5,8 @@ import Subject from "../Models/Subject.js";
 
 const router = express.Router();
 
+// Public, read-only catalog. Writes live in Routes/admin.js (utils/catalog.js)
+
 //reg routes
 router.get("/regulations", async (req, res) => {
   try {
@@ -16,23 +18,6 @@ router.get("/regulations", async (req, res) => {
   }
 });
 
-router.post("/regulations", async (req, res) => {
-  try {
-    const { name, numberOfSemesters } = req.body;
-    if (!name || !numberOfSemesters)
-      return res
-        .status(400)
-        .json({ success: false, message: "Missing fields" });
-
-    const regulation = new Regulation({ name, numberOfSemesters });
-    await regulation.save();
-    res.json({ success: true, regulation });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Server error" });
-  }
-});
-
 //branch routes
 router.get("/branches", async (req, res) => {
   try {
@@ -46,23 +31,6 @@ router.get("/branches", async (req, res) => {
   }
 });
 
-router.post("/branches", async (req, res) => {
-  try {
-    const { name, code, regulation } = req.body;
-    if (!name || !code || !regulation)
-      return res
-        .status(400)
-        .json({ success: false, message: "Missing fields" });
-
-    const branch = new Branch({ name, code, regulation });
-    await branch.save();
-    res.json({ success: true, branch });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Server error" });
-  }
-});
-
 //sub routes
 router.get("/subjects", async (req, res) => {
   try {
@@ -81,27 +49,4 @@ router.get("/subjects", async (req, res) => {
   }
 });
 
-router.post("/subjects", async (req, res) => {
-  try {
-    const { name, code, branch, semester } = req.body;
-    if (!name || !code || !branch || !semester)
-      return res
-        .status(400)
-        .json({ success: false, message: "Missing fields" });
-
-    const subject = new Subject({ name, code, branch, semester });
-    await subject.save();
-    res.json({ success: true, subject });
-  } catch (err) {
-    console.error(err);
-    if (err.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: "Subject code already exists for this branch and semester",
-      });
-    }
-    res.status(500).json({ success: false, message: "Server error" });
-  }
-});
-
 export default router;
@@ -1,28 +1,108 @@
 import express from "express";
+import mongoose from "mongoose";
 import Note from "../Models/Note.js";
 import Faculty from "../Models/Faculty.js";
 import { authMiddleware } from "../middleware/auth.js";
-import { getUploadURLs, getDownloadURL, deleteS3Object } from "../utils/s3.js"; // utility to delete file
-import JSZip from "jszip";
+import { authorize, requireRole, sendDenied } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  getUploadURLs,
+  getDownloadURL,
+  createMultipartUpload,
+  getUploadPartURLs,
+  listUploadedParts,
+  completeMultipartUpload,
+  abortMultipartUpload,
+} from "../utils/s3.js"; // utility to delete file
+import PendingUpload from "../Models/PendingUpload.js";
+import MultipartUpload from "../Models/MultipartUpload.js";
+import {
+  createFileKey,
+  validateFileMeta,
+  recordPendingUploads,
+  verifyUploadedFile,
+} from "../utils/uploads.js";
+import { streamNotesArchive, ZIP_LAYOUTS } from "../utils/zipExport.js";
+import ExportJob from "../Models/ExportJob.js";
+import { buildNoteSearch } from "../utils/noteSearch.js";
+import { publicNoteView } from "../utils/noteViews.js";
+import {
+  buildMetadataFilter,
+  validateNoteMetadata,
+} from "../utils/noteMetadata.js";
+import { processContentIndexQueue } from "../utils/contentIndex.js";
+import { moveToRecycleBin } from "../utils/recycleBin.js";
+import {
+  PUBLIC_NOTE_FILTER,
+  applyModeration,
+  canViewNote,
+} from "../utils/moderation.js";
+import {
+  addNoteVersion,
+  findVersion,
+  rollbackNoteVersion,
+  versionHistoryOf,
+  versionView,
+} from "../utils/noteVersions.js";
+import {
+  previewUrlsFor,
+  processPreviewQueue,
+  queueNotePreviews,
+} from "../utils/notePreviews.js";
+import {
+  EXPORT_JOB_MAX_NOTES,
+  noteFilterFor,
+  processExportQueue,
+} from "../utils/exportJobs.js";
+import NoteReport from "../Models/NoteReport.js";
+import {
+  facultyStats,
+  recordNoteAccess,
+  trendingNotes,
+} from "../utils/noteAnalytics.js";
+import {
+  fileReport,
+  reportQueue,
+  resolveNoteReports,
+  triageNoteFilter,
+} from "../utils/noteReports.js";
 
 const router = express.Router();
+const facultyOnly = requireRole("faculty");
 
 // ------------------- 1. Generate presigned URLs -------------------
-router.post("/upload", authMiddleware, async (req, res) => {
+router.post("/upload", authMiddleware, facultyOnly, async (req, res) => {
   try {
-    if (req.user.role !== "faculty")
-      return res.status(403).json({ message: "Only faculty can upload notes" });
-
     const { filesMeta } = req.body;
     if (!filesMeta?.length)
       return res.status(400).json({ message: "No files metadata provided" });
 
+    const invalidFiles = filesMeta
+      .map((f) => ({
+        originalName: f.originalName,
+        reason: validateFileMeta(f),
+      }))
+      .filter((f) => f.reason);
+    if (invalidFiles.length)
+      return res
+        .status(400)
+        .json({ message: "Some files cannot be uploaded", invalidFiles });
+
     const filesWithKeys = filesMeta.map((f) => ({
-      fileKey: `uploads/${Date.now()}_${f.originalName}`,
+      fileKey: createFileKey(f.originalName),
       originalName: f.originalName,
       fileType: f.fileType,
     }));
 
+    await recordPendingUploads(
+      req.user.id,
+      filesWithKeys.map((f, i) => ({ ...f, size: filesMeta[i].size }))
+    );
+    await recordAudit(req, {
+      action: "upload.create",
+      entity: "upload",
+      details: { files: filesWithKeys },
+    });
     const uploadUrls = await getUploadURLs(filesWithKeys);
     const filesToUpload = filesWithKeys.map((f, i) => ({
       ...f,
@@ -38,49 +118,277 @@ router.post("/upload", authMiddleware, async (req, res) => {
   }
 });
 
-// ------------------- 2. Save note metadata -------------------
-router.post("/save-notes", authMiddleware, async (req, res) => {
+// ------------------- 1b. Multipart (resumable) uploads -------------------
+// initiate -> part-urls -> PUT each part -> complete, then save-notes as usual.
+// A client that lost its connection calls /parts to see what is already there.
+
+// Looks up an in-progress multipart upload owned by the current user
+const findMultipartUpload = (req) =>
+  MultipartUpload.findOne({
+    uploadId: req.body?.uploadId || req.query.uploadId,
+    uploadedBy: req.user.id,
+  });
+
+router.post(
+  "/upload/multipart/initiate",
+  authMiddleware,
+  facultyOnly,
+  async (req, res) => {
+    try {
+      const { originalName, fileType, size } = req.body;
+      const reason = validateFileMeta({ originalName, fileType, size });
+      if (reason) return res.status(400).json({ message: reason });
+
+      const fileKey = createFileKey(originalName);
+      const uploadId = await createMultipartUpload(fileKey, fileType);
+      const upload = await MultipartUpload.create({
+        fileKey,
+        uploadId,
+        originalName,
+        fileType,
+        size,
+        uploadedBy: req.user.id,
+      });
+      await recordAudit(req, {
+        action: "upload.multipartInitiate",
+        entity: "upload",
+        entityId: upload._id,
+        details: { fileKey, originalName, fileType, size },
+      });
+
+      res
+        .status(201)
+        .json({ message: "Multipart upload started", fileKey, uploadId });
+    } catch (err) {
+      console.error("Multipart initiate error:", err);
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+router.post("/upload/multipart/part-urls", authMiddleware, async (req, res) => {
+  try {
+    const { partNumbers } = req.body;
+    if (
+      !partNumbers?.length ||
+      !partNumbers.every((n) => Number.isInteger(n) && n >= 1 && n <= 10000)
+    )
+      return res
+        .status(400)
+        .json({ message: "partNumbers must be integers between 1 and 10000" });
+
+    const upload = await findMultipartUpload(req);
+    if (!upload) return res.status(404).json({ message: "Upload not found" });
+
+    const urls = await getUploadPartURLs(
+      upload.fileKey,
+      upload.uploadId,
+      partNumbers
+    );
+    res.json({
+      parts: partNumbers.map((partNumber, i) => ({
+        partNumber,
+        uploadUrl: urls[i],
+      })),
+    });
+  } catch (err) {
+    console.error("Multipart part URL error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.get("/upload/multipart/parts", authMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== "faculty")
-      return res.status(403).json({ message: "Only faculty can save notes" });
+    const upload = await findMultipartUpload(req);
+    if (!upload) return res.status(404).json({ message: "Upload not found" });
 
+    const parts = await listUploadedParts(upload.fileKey, upload.uploadId);
+    res.json({ fileKey: upload.fileKey, uploadId: upload.uploadId, parts });
+  } catch (err) {
+    console.error("Multipart list parts error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.post("/upload/multipart/complete", authMiddleware, async (req, res) => {
+  try {
+    const { parts } = req.body;
+    if (!parts?.length || !parts.every((p) => p.partNumber && p.etag))
+      return res
+        .status(400)
+        .json({ message: "parts must be a list of { partNumber, etag }" });
+
+    const upload = await findMultipartUpload(req);
+    if (!upload) return res.status(404).json({ message: "Upload not found" });
+
+    await completeMultipartUpload(upload.fileKey, upload.uploadId, parts);
+
+    // From here on the file goes through save-notes like a normal upload
+    await recordPendingUploads(req.user.id, [upload]);
+    await upload.deleteOne();
+    await recordAudit(req, {
+      action: "upload.multipartComplete",
+      entity: "upload",
+      entityId: upload._id,
+      details: { fileKey: upload.fileKey, parts: parts.length },
+    });
+
+    res.json({
+      message: "Upload completed",
+      fileKey: upload.fileKey,
+      originalName: upload.originalName,
+      fileType: upload.fileType,
+    });
+  } catch (err) {
+    console.error("Multipart complete error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.post("/upload/multipart/abort", authMiddleware, async (req, res) => {
+  try {
+    const upload = await findMultipartUpload(req);
+    if (!upload) return res.status(404).json({ message: "Upload not found" });
+
+    await abortMultipartUpload(upload.fileKey, upload.uploadId);
+    await upload.deleteOne();
+    await recordAudit(req, {
+      action: "upload.multipartAbort",
+      entity: "upload",
+      entityId: upload._id,
+      details: { fileKey: upload.fileKey },
+    });
+
+    res.json({ message: "Upload aborted" });
+  } catch (err) {
+    console.error("Multipart abort error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// ------------------- 2. Save note metadata -------------------
+router.post("/save-notes", authMiddleware, facultyOnly, async (req, res) => {
+  try {
+    // description/tags/unit/resourceType/academicYear in the body apply to
+    // every file; the same fields (and title) on a file override them
     const { regulation, subject, branch, semester, uploadedFiles } = req.body;
+    const { title, ...batchMetadata } = req.body;
+    // draft: true keeps the notes out of the review queue until submitted
+    const moderation = req.body.draft
+      ? { status: "draft" }
+      : { status: "pending", submittedAt: new Date() };
     if (!uploadedFiles?.length)
       return res
         .status(400)
         .json({ message: "No successfully uploaded files" });
 
     const savedNotes = [];
+    const failedFiles = [];
 
+    // Each file is checked and saved on its own so one bad key doesn't
+    // sink the whole batch
     for (let file of uploadedFiles) {
-      const newNote = new Note({
-        title: file.originalName.replace(/\.[^/.]+$/, ""),
-        regulation,
-        subject,
-        branch,
-        semester,
-        fileKey: file.fileKey,
-        uploadedBy: req.user.id,
-      });
+      try {
+        const check = await verifyUploadedFile(req.user.id, file.fileKey);
+        if (!check.ok) {
+          failedFiles.push({
+            fileKey: file.fileKey,
+            originalName: file.originalName,
+            reason: check.reason,
+          });
+          continue;
+        }
 
-      const savedNote = await newNote.save();
+        const { metadata, error } = validateNoteMetadata({
+          ...batchMetadata,
+          ...file,
+        });
+        if (error) {
+          failedFiles.push({
+            fileKey: file.fileKey,
+            originalName: file.originalName,
+            reason: error,
+          });
+          continue;
+        }
 
-      await Faculty.findByIdAndUpdate(req.user.id, {
-        $push: { uploadedNotes: savedNote._id },
-      });
+        const newNote = new Note({
+          title: check.pending.originalName.replace(/\.[^/.]+$/, ""),
+          ...metadata,
+          regulation,
+          subject,
+          branch,
+          semester,
+          fileKey: file.fileKey,
+          uploadedBy: req.user.id,
+          moderation,
+          versions: [
+            {
+              version: 1,
+              fileKey: file.fileKey,
+              originalName: check.pending.originalName,
+              fileType: check.pending.fileType,
+              size: check.info.size,
+              uploadedBy: req.user.id,
+            },
+          ],
+        });
 
-      savedNotes.push({
-        _id: savedNote._id,
-        title: savedNote.title,
-        semester: savedNote.semester,
-        branch,
-        subject,
-        regulation,
-        fileKey: savedNote.fileKey,
-      });
+        const savedNote = await newNote.save();
+
+        await Faculty.findByIdAndUpdate(req.user.id, {
+          $push: { uploadedNotes: savedNote._id },
+        });
+        await PendingUpload.deleteOne({ _id: check.pending._id });
+        await recordAudit(req, {
+          action: "note.create",
+          entity: "note",
+          after: savedNote,
+        });
+
+        savedNotes.push({
+          _id: savedNote._id,
+          title: savedNote.title,
+          semester: savedNote.semester,
+          description: savedNote.description,
+          tags: savedNote.tags,
+          unit: savedNote.unit,
+          resourceType: savedNote.resourceType,
+          academicYear: savedNote.academicYear,
+          status: savedNote.moderation.status,
+          branch,
+          subject,
+          regulation,
+          fileKey: savedNote.fileKey,
+        });
+      } catch (err) {
+        console.error("Save note error:", err);
+        failedFiles.push({
+          fileKey: file.fileKey,
+          originalName: file.originalName,
+          reason: err.message,
+        });
+      }
+    }
+
+    // Extract PDF text and render previews in the background
+    if (savedNotes.length) {
+      processContentIndexQueue();
+      processPreviewQueue();
     }
 
-    res.status(201).json({ message: "Notes saved successfully", savedNotes });
+    if (!savedNotes.length)
+      return res
+        .status(400)
+        .json({ message: "No notes could be saved", savedNotes, failedFiles });
+
+    res.status(201).json({
+      message: failedFiles.length
+        ? "Some notes could not be saved"
+        : "Notes saved successfully",
+      savedNotes,
+      failedFiles,
+    });
   } catch (err) {
     console.error("Save notes error:", err);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -110,10 +418,25 @@ router.get("/my-uploads", authMiddleware, async (req, res) => {
         branch: note.branch,
         subject: note.subject,
         regulation: note.regulation,
+        description: note.description,
+        tags: note.tags,
+        unit: note.unit,
+        resourceType: note.resourceType,
+        academicYear: note.academicYear,
+        status: note.moderation?.status,
+        rejectionReason: note.moderation?.reason,
+        reviewedAt: note.moderation?.reviewedAt,
+        views: note.stats?.views || 0,
+        downloads: note.stats?.downloads || 0,
         fileUrl: note.fileKey ? await getDownloadURL(note.fileKey) : null,
         fileKey: note.fileKey,
+        ...(await previewUrlsFor(note)),
       }))
     );
+    await recordNoteAccess(req, faculty.uploadedNotes, {
+      kind: "view",
+      source: "my_uploads",
+    });
 
     res.json(notesWithUrl);
   } catch (err) {
@@ -122,78 +445,526 @@ router.get("/my-uploads", authMiddleware, async (req, res) => {
   }
 });
 
-// ------------------- 4. Delete note + remove from S3 -------------------
+// ------------------- 4. Delete note (to the recycle bin) -------------------
 router.delete("/:id", authMiddleware, async (req, res) => {
   const noteId = req.params.id;
 
   try {
     const note = await Note.findById(noteId);
     if (!note) return res.status(404).json({ message: "Note not found" });
+    const decision = await authorize.note(req, note);
+    if (!decision.allowed) return sendDenied(res, decision);
+
+    // File, previews and links stay until the bin entry is purged
+    const entry = await moveToRecycleBin(req, "note", note);
+    await recordAudit(req, {
+      action: "note.delete",
+      entity: "note",
+      before: note,
+      details: { recycleBinEntry: entry._id },
+    });
+
+    res.json({ message: "Note moved to the recycle bin" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Delete failed", error: err.message });
+  }
+});
+
+// ------------------- 4a. Edit metadata -------------------
+// PUT /:id/metadata { title, description, tags, unit, resourceType,
+//                     academicYear } (only the fields sent are changed)
+router.put("/:id/metadata", authMiddleware, async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) return res.status(404).json({ message: "Note not found" });
+    const decision = await authorize.note(req, note);
+    if (!decision.allowed) return sendDenied(res, decision);
+
+    const { metadata, error } = validateNoteMetadata(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (!Object.keys(metadata).length)
+      return res.status(400).json({ message: "Nothing to update" });
+
+    const before = note.toObject();
+    note.set(metadata);
+    await note.save();
+    await recordAudit(req, {
+      action: "note.metadata",
+      entity: "note",
+      before,
+      after: note,
+    });
+
+    res.json({
+      message: "Note updated",
+      note: {
+        _id: note._id,
+        title: note.title,
+        description: note.description,
+        tags: note.tags,
+        unit: note.unit,
+        resourceType: note.resourceType,
+        academicYear: note.academicYear,
+      },
+    });
+  } catch (err) {
+    console.error("Update metadata error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// ------------------- 4b. Regenerate thumbnail/preview -------------------
+router.post("/:id/previews", authMiddleware, async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) return res.status(404).json({ message: "Note not found" });
+    const decision = await authorize.note(req, note);
+    if (!decision.allowed) return sendDenied(res, decision);
+
+    await queueNotePreviews([note._id]);
+    await recordAudit(req, {
+      action: "note.previews",
+      entity: "note",
+      entityId: note._id,
+    });
+    res.status(202).json({ message: "Preview regeneration queued" });
+  } catch (err) {
+    console.error("Regenerate previews error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// ------------------- 4c. Versions -------------------
+// Upload the new file with /upload (or multipart) first, then attach it:
+// POST /:id/versions { fileKey, comment }
+router.post("/:id/versions", authMiddleware, facultyOnly, async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) return res.status(404).json({ message: "Note not found" });
+    const decision = await authorize.note(req, note);
+    if (!decision.allowed) return sendDenied(res, decision);
+
+    const { fileKey, comment } = req.body;
+    const check = await verifyUploadedFile(req.user.id, fileKey);
+    if (!check.ok) return res.status(400).json({ message: check.reason });
+
+    const before = note.toObject();
+    const added = await addNoteVersion(note, {
+      pending: check.pending,
+      info: check.info,
+      userId: req.user.id,
+      comment,
+    });
+    if (added.error)
+      return res.status(added.status).json({ message: added.error });
+    await recordAudit(req, {
+      action: "note.version",
+      entity: "note",
+      before,
+      after: note,
+    });
+
+    res.status(201).json({
+      message: "New version uploaded",
+      version: versionView(note, added.entry),
+    });
+  } catch (err) {
+    console.error("Upload version error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.get("/:id/versions", authMiddleware, async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id).populate(
+      "versions.uploadedBy",
+      "name"
+    );
+    if (!note || !(await canViewNote(req, note)))
+      return res.status(404).json({ message: "Note not found" });
+
+    const versions = versionHistoryOf(note)
+      .slice()
+      .sort((a, b) => b.version - a.version)
+      .map((entry) => versionView(note, entry));
+    res.json({ currentVersion: note.currentVersion || 1, versions });
+  } catch (err) {
+    console.error("List versions error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-    // Delete file from S3 if exists
-    if (note.fileKey) {
-      await deleteS3Object(note.fileKey); // utility function in s3.js
+router.get(
+  "/:id/versions/:version/download",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const note = await Note.findById(req.params.id);
+      if (!note || !(await canViewNote(req, note)))
+        return res.status(404).json({ message: "Note not found" });
+      const entry = findVersion(note, req.params.version);
+      if (!entry) return res.status(404).json({ message: "Version not found" });
+
+      const url = await getDownloadURL(entry.fileKey);
+      await recordNoteAccess(req, note, {
+        kind: "download",
+        source: "version",
+      });
+      res.json({ url });
+    } catch (err) {
+      console.error("Download version error:", err);
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+router.post(
+  "/:id/versions/:version/rollback",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const note = await Note.findById(req.params.id);
+      if (!note) return res.status(404).json({ message: "Note not found" });
+      const decision = await authorize.note(req, note);
+      if (!decision.allowed) return sendDenied(res, decision);
+
+      const entry = findVersion(note, req.params.version);
+      if (!entry) return res.status(404).json({ message: "Version not found" });
+      if (entry.version === (note.currentVersion || 1))
+        return res
+          .status(400)
+          .json({ message: "This version is already the current one" });
+
+      const before = note.toObject();
+      const rolledBack = await rollbackNoteVersion(note, entry);
+      if (rolledBack.error)
+        return res
+          .status(rolledBack.status)
+          .json({ message: rolledBack.error });
+      await recordAudit(req, {
+        action: "note.rollback",
+        entity: "note",
+        before,
+        after: note,
+      });
+
+      res.json({
+        message: `Rolled back to version ${entry.version}`,
+        version: versionView(note, entry),
+      });
+    } catch (err) {
+      console.error("Rollback version error:", err);
+      res.status(500).json({ message: "Server error", error: err.message });
     }
+  }
+);
+
+// ------------------- 4d. Submit for review -------------------
+// Drafts, and rejected notes after fixing them, go (back) to the queue
+router.post("/:id/submit", authMiddleware, facultyOnly, async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) return res.status(404).json({ message: "Note not found" });
+    const decision = await authorize.note(req, note);
+    if (!decision.allowed) return sendDenied(res, decision);
 
-    // Remove note from faculty uploadedNotes
-    await Faculty.findByIdAndUpdate(note.uploadedBy, {
-      $pull: { uploadedNotes: note._id },
+    const before = note.toObject();
+    const result = await applyModeration(note, "submit");
+    if (result.error) return res.status(400).json({ message: result.error });
+    await recordAudit(req, {
+      action: "note.submit",
+      entity: "note",
+      before,
+      after: note,
     });
 
-    // Delete note document
-    await note.deleteOne();
+    res.json({ message: "Submitted for review", status: "pending" });
+  } catch (err) {
+    console.error("Submit note error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// ------------------- 4e. Student reports -------------------
+// POST /:id/reports { reason, comment } (students)
+router.post(
+  "/:id/reports",
+  authMiddleware,
+  requireRole("student"),
+  async (req, res) => {
+    try {
+      const note = await Note.findOne({
+        _id: req.params.id,
+        ...PUBLIC_NOTE_FILTER,
+      });
+      if (!note) return res.status(404).json({ message: "Note not found" });
+
+      const result = await fileReport(note, req.user.id, req.body);
+      if (result.error) return res.status(400).json({ message: result.error });
+      await recordAudit(req, {
+        action: "note.report",
+        entity: "note",
+        entityId: note._id,
+        details: { report: result.report._id, reason: result.report.reason },
+      });
+
+      res.status(201).json({ message: "Report submitted" });
+    } catch (err) {
+      console.error("Report note error:", err);
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+// Triage queue: notes with reports, counts per reason. Admins see their
+// scope, faculty their uploads and assigned subjects. ?status=open|resolved|dismissed
+router.get(
+  "/reports/queue",
+  authMiddleware,
+  requireRole("faculty", "admin"),
+  async (req, res) => {
+    try {
+      const { status = "open" } = req.query;
+      if (!NoteReport.schema.path("status").enumValues.includes(status))
+        return res.status(400).json({ message: "Invalid status" });
+
+      const queue = await reportQueue(await triageNoteFilter(req), status);
+      res.json({ status, total: queue.length, notes: queue });
+    } catch (err) {
+      console.error("Report queue error:", err);
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+router.get("/:id/reports", authMiddleware, async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) return res.status(404).json({ message: "Note not found" });
+    const decision = await authorize.note(req, note);
+    if (!decision.allowed) return sendDenied(res, decision);
 
-    res.json({ message: "Note deleted successfully" });
+    const reports = await NoteReport.find({ note: note._id })
+      .sort({ createdAt: -1 })
+      .populate("reportedBy", "name rollNumber");
+    res.json({ note: note._id, reports });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Delete failed", error: err.message });
+    console.error("List reports error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// POST /:id/reports/resolve { action: move|replace|delete|dismiss,
+//                              subject (move), fileKey (replace), comment }
+router.post("/:id/reports/resolve", authMiddleware, async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) return res.status(404).json({ message: "Note not found" });
+    const decision = await authorize.note(req, note);
+    if (!decision.allowed) return sendDenied(res, decision);
+
+    const before = note.toObject();
+    const result = await resolveNoteReports(req, note, req.body);
+    if (result.denied) return sendDenied(res, result.denied);
+    if (result.error) return res.status(400).json({ message: result.error });
+    await recordAudit(req, {
+      action: "note.reportsResolve",
+      entity: "note",
+      before,
+      after: req.body.action === "delete" ? undefined : note,
+      details: { action: req.body.action, reports: result.resolved },
+    });
+
+    res.json({ message: "Reports resolved", resolved: result.resolved });
+  } catch (err) {
+    console.error("Resolve reports error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
 // ------------------- 5. Download multiple notes as ZIP -------------------
+// Streams the archive while files are fetched. layout: "flat" | "folders"
 router.post("/download-zip", authMiddleware, async (req, res) => {
   try {
-    const { noteIds } = req.body;
+    const { noteIds, layout = "flat" } = req.body;
     if (!noteIds?.length)
       return res.status(400).json({ message: "No notes selected" });
+    if (!ZIP_LAYOUTS.includes(layout))
+      return res.status(400).json({
+        message: `layout must be one of: ${ZIP_LAYOUTS.join(", ")}`,
+      });
 
-    const notes = await Note.find({ _id: { $in: noteIds } });
+    const found = await Note.find({ _id: { $in: noteIds } })
+      .populate("regulation", "name")
+      .populate("branch", "name")
+      .populate("subject", "name code")
+      .sort({ createdAt: -1 });
+    // Unpublished notes only for the people who manage them
+    const notes = [];
+    for (const note of found)
+      if (await canViewNote(req, note)) notes.push(note);
     if (!notes.length)
       return res.status(404).json({ message: "Notes not found" });
 
-    const zip = new JSZip();
-    const filesData = await Promise.all(
-      notes.map(async (note) => {
-        if (!note.fileKey) return null;
-        const fileUrl = await getDownloadURL(note.fileKey);
-        const response = await fetch(fileUrl);
-        const buffer = await response.arrayBuffer();
-        return { buffer, name: note.title + ".pdf" };
-      })
-    );
-
-    filesData.forEach((f) => f && zip.file(f.name, Buffer.from(f.buffer)));
-    const zipBuffer = await zip.generateAsync({ type: "nodebuffer" });
-
     res.set({
       "Content-Type": "application/zip",
       "Content-Disposition": "attachment; filename=notes.zip",
-      "Content-Length": zipBuffer.length,
     });
-    res.send(zipBuffer);
+    await streamNotesArchive(notes, res, { layout });
+    await recordNoteAccess(req, notes, {
+      kind: "download",
+      source: "download_zip",
+    });
   } catch (err) {
     console.error(err);
+    // Once bytes are out the status can't change, just cut the download
+    if (res.headersSent) return res.destroy(err);
     res.status(500).json({ message: "Error creating ZIP", error: err.message });
   }
 });
 
+// ------------------- 5b. Background ZIP export jobs -------------------
+// For whole-subject / whole-semester downloads that are too big for
+// /download-zip. Create a job, poll it, then fetch the download link.
+
+const exportJobView = (job) => ({
+  _id: job._id,
+  status: job.status,
+  filter: job.filter,
+  layout: job.layout,
+  progress: job.progress,
+  failedFiles: job.failedFiles,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+});
+
+// Owner of the job, or any admin
+const canAccessJob = (user, job) =>
+  user.role === "admin" || String(job.requestedBy) === String(user.id);
+
+router.post("/export-jobs", authMiddleware, async (req, res) => {
+  try {
+    const {
+      regulation,
+      branch,
+      semester,
+      subject,
+      layout = "folders",
+    } = req.body;
+    if (!regulation && !branch && !semester && !subject)
+      return res.status(400).json({
+        message:
+          "Provide at least one of regulation, branch, semester, subject",
+      });
+    if (!ZIP_LAYOUTS.includes(layout))
+      return res.status(400).json({
+        message: `layout must be one of: ${ZIP_LAYOUTS.join(", ")}`,
+      });
+    const refs = { regulation, branch, subject };
+    for (const [field, value] of Object.entries(refs))
+      if (value && !mongoose.Types.ObjectId.isValid(value))
+        return res.status(400).json({ message: `Invalid ${field}` });
+
+    const filter = { regulation, branch, semester, subject };
+    const noteCount = await Note.countDocuments(noteFilterFor(filter));
+    if (!noteCount)
+      return res.status(404).json({ message: "No notes match this filter" });
+    if (noteCount > EXPORT_JOB_MAX_NOTES)
+      return res.status(400).json({
+        message: `Too many notes (${noteCount}), narrow the filter to at most ${EXPORT_JOB_MAX_NOTES}`,
+      });
+
+    const job = await ExportJob.create({
+      filter,
+      layout,
+      requestedBy: req.user.id,
+      requestedRole: req.user.role,
+      progress: { processed: 0, total: noteCount },
+    });
+    processExportQueue();
+    await recordAudit(req, {
+      action: "exportJob.create",
+      entity: "exportJob",
+      after: job,
+    });
+
+    res.status(202).json({ message: "Export queued", job: exportJobView(job) });
+  } catch (err) {
+    console.error("Create export job error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.get("/export-jobs/:id", authMiddleware, async (req, res) => {
+  try {
+    const job = await ExportJob.findById(req.params.id);
+    if (!job || !canAccessJob(req.user, job))
+      return res.status(404).json({ message: "Export job not found" });
+
+    res.json({ job: exportJobView(job) });
+  } catch (err) {
+    console.error("Get export job error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.get("/export-jobs/:id/download", authMiddleware, async (req, res) => {
+  try {
+    const job = await ExportJob.findById(req.params.id);
+    if (!job || !canAccessJob(req.user, job))
+      return res.status(404).json({ message: "Export job not found" });
+    // the sweep may not have reached it yet
+    if (
+      job.status === "expired" ||
+      (job.status === "completed" && job.expiresAt < new Date())
+    )
+      return res.status(410).json({ message: "Export has expired" });
+    if (job.status !== "completed")
+      return res
+        .status(409)
+        .json({ message: `Export is ${job.status}`, job: exportJobView(job) });
+
+    // Link never outlives the archive itself
+    const secondsLeft = Math.floor((job.expiresAt - Date.now()) / 1000);
+    const url = await getDownloadURL(
+      job.fileKey,
+      Math.max(60, Math.min(3600, secondsLeft))
+    );
+    // Only the notes that made it into the archive
+    const notes = await Note.find(
+      { _id: { $in: job.includedNotes } },
+      "subject branch regulation semester uploadedBy"
+    );
+    await recordNoteAccess(req, notes, {
+      kind: "download",
+      source: "export_job",
+    });
+    res.json({ url, expiresAt: job.expiresAt });
+  } catch (err) {
+    console.error("Export download error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
 // ------------------- 6. Get notes by subject -------------------
+// Optional filters: ?tags=a,b&unit=&resourceType=&academicYear=
 router.get("/subject/:subjectId", async (req, res) => {
   const { subjectId } = req.params;
 
   try {
+    const metadataFilter = buildMetadataFilter(req.query);
+    if (metadataFilter.error)
+      return res.status(400).json({ message: metadataFilter.error });
+
     // Find notes for the given subject
-    const notes = await Note.find({ subject: subjectId })
+    const notes = await Note.find({
+      subject: subjectId,
+      ...metadataFilter.filter,
+      ...PUBLIC_NOTE_FILTER,
+    })
       .populate("branch", "name")
       .populate("subject", "name code")
       .populate("regulation", "name")
@@ -207,22 +978,8 @@ router.get("/subject/:subjectId", async (req, res) => {
     }
 
     // Map notes to include download URLs
-    const notesWithUrl = await Promise.all(
-      notes.map(async (note) => ({
-        _id: note._id,
-        title: note.title,
-        semester: note.semester,
-        branch: note.branch,
-        subject: note.subject,
-        regulation: note.regulation,
-        uploadedBy: note.uploadedBy
-          ? { _id: note.uploadedBy._id, name: note.uploadedBy.name }
-          : null,
-        createdAt: note.createdAt,
-        fileUrl: note.fileKey ? await getDownloadURL(note.fileKey) : null,
-        fileKey: note.fileKey,
-      }))
-    );
+    const notesWithUrl = await Promise.all(notes.map(publicNoteView));
+    await recordNoteAccess(req, notes, { kind: "view", source: "subject" });
 
     res.status(200).json({ notes: notesWithUrl });
   } catch (err) {
@@ -231,4 +988,81 @@ router.get("/subject/:subjectId", async (req, res) => {
   }
 });
 
+// ------------------- 7. Search notes -------------------
+// GET /search?q=&regulation=&branch=&semester=&subject=&uploadedBy=
+//             &from=&to=&sort=newest|oldest|title_asc|title_desc&page=&limit=
+router.get("/search", async (req, res) => {
+  try {
+    const search = await buildNoteSearch(req.query);
+    if (search.error) return res.status(400).json({ message: search.error });
+
+    const { filter, sort, page, limit, contentMatches } = search;
+    const [total, notes] = await Promise.all([
+      Note.countDocuments(filter),
+      Note.find(filter)
+        .populate("branch", "name")
+        .populate("subject", "name code")
+        .populate("regulation", "name")
+        .populate("uploadedBy", "name email")
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+    await recordNoteAccess(req, notes, { kind: "view", source: "search" });
+
+    res.json({
+      notes: await Promise.all(
+        notes.map(async (note) => ({
+          ...(await publicNoteView(note)),
+          // pages whose text matched q, with snippets
+          contentMatches: contentMatches.get(String(note._id)) || [],
+        }))
+      ),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error("Search notes error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// ------------------- 8. Analytics -------------------
+// Most viewed / downloaded public notes of the last week
+// GET /trending?branch=&semester=&limit=
+router.get("/trending", async (req, res) => {
+  try {
+    const result = await trendingNotes(req.query);
+    if (result.error) return res.status(400).json({ message: result.error });
+
+    const notes = result.notes.map((r) => r.note);
+    const views = await Promise.all(notes.map(publicNoteView));
+
+    res.json({
+      notes: views.map((view, i) => ({
+        ...view,
+        weekly: {
+          views: result.notes[i].views,
+          downloads: result.notes[i].downloads,
+        },
+      })),
+    });
+  } catch (err) {
+    console.error("Trending notes error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Engagement on the faculty member's uploads. ?days= for the recent window
+router.get("/my-stats", authMiddleware, facultyOnly, async (req, res) => {
+  try {
+    res.json(await facultyStats(req.user.id, req.query));
+  } catch (err) {
+    console.error("Faculty stats error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,67 @@
+// routes/storage.js
+// Serves the signed upload/download URLs issued by the local storage driver.
+// Only mounted when STORAGE_DRIVER=local.
+import express from "express";
+import storage from "../utils/storage/index.js";
+
+const router = express.Router();
+
+// ------------------- Upload (signed PUT) -------------------
+router.put("/object", async (req, res) => {
+  try {
+    const contentType = req.headers["content-type"] || "";
+    if (!storage.verifySignature("put", { ...req.query, type: contentType }))
+      return res.status(403).json({ message: "Invalid or expired upload URL" });
+
+    await storage.writeObject(req.query.key, req, contentType);
+    res.status(200).end();
+  } catch (err) {
+    console.error("Local storage upload error:", err);
+    res.status(500).json({ message: "Upload failed", error: err.message });
+  }
+});
+
+// ------------------- Multipart part upload (signed PUT) -------------------
+router.put("/part", async (req, res) => {
+  try {
+    if (!storage.verifySignature("part", req.query))
+      return res.status(403).json({ message: "Invalid or expired upload URL" });
+
+    const { key, uploadId, partNumber } = req.query;
+    const etag = await storage.writePart(key, uploadId, partNumber, req);
+    // Browsers need the ETag to complete the upload, same as with S3
+    res.set({ ETag: etag, "Access-Control-Expose-Headers": "ETag" });
+    res.status(200).end();
+  } catch (err) {
+    console.error("Local storage part upload error:", err);
+    res.status(500).json({ message: "Upload failed", error: err.message });
+  }
+});
+
+// ------------------- Download (signed GET) -------------------
+router.get("/object", async (req, res) => {
+  try {
+    if (!storage.verifySignature("get", req.query))
+      return res
+        .status(403)
+        .json({ message: "Invalid or expired download URL" });
+
+    const object = await storage.readObject(req.query.key);
+    if (!object) return res.status(404).json({ message: "File not found" });
+
+    res.set({
+      "Content-Type": object.contentType,
+      "Content-Length": object.size,
+    });
+    object.stream.on("error", (err) => {
+      console.error("Local storage read error:", err);
+      res.destroy(err);
+    });
+    object.stream.pipe(res);
+  } catch (err) {
+    console.error("Local storage download error:", err);
+    res.status(500).json({ message: "Download failed", error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,265 @@
+// routes/student.js
+import express from "express";
+import mongoose from "mongoose";
+import Student from "../Models/Student.js";
+import Note from "../Models/Note.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { populatePublicNote, publicNoteView } from "../utils/noteViews.js";
+import { requireRole } from "../utils/permissions.js";
+import { PUBLIC_NOTE_FILTER } from "../utils/moderation.js";
+
+const router = express.Router();
+
+router.use(authMiddleware, requireRole("student"));
+
+// Notes for the given IDs in the same order, skipping ones that are gone
+// or not published (anymore)
+const notesInOrder = async (noteIds) => {
+  const notes = await populatePublicNote(
+    Note.find({ _id: { $in: noteIds }, ...PUBLIC_NOTE_FILTER })
+  );
+  const byId = new Map(notes.map((n) => [String(n._id), n]));
+  const ordered = noteIds.map((id) => byId.get(String(id))).filter(Boolean);
+  return Promise.all(ordered.map(publicNoteView));
+};
+
+// IDs (as strings) of the given notes that are still published
+const publishedIds = async (noteIds) =>
+  new Set(
+    (
+      await Note.distinct("_id", {
+        _id: { $in: noteIds },
+        ...PUBLIC_NOTE_FILTER,
+      })
+    ).map(String)
+  );
+
+// noteCount only counts notes the detail view would list
+const collectionSummary = (collection, published) => ({
+  _id: collection._id,
+  name: collection.name,
+  noteCount: collection.notes.filter((id) => published.has(String(id))).length,
+  createdAt: collection.createdAt,
+});
+
+const summarize = async (collection) =>
+  collectionSummary(collection, await publishedIds(collection.notes));
+
+// Validates :noteId and checks the note exists and is published
+const findNote = async (req, res) => {
+  const { noteId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(noteId)) {
+    res.status(400).json({ message: "Invalid note ID" });
+    return null;
+  }
+  const note = await Note.findOne(
+    { _id: noteId, ...PUBLIC_NOTE_FILTER },
+    "_id"
+  );
+  if (!note) res.status(404).json({ message: "Note not found" });
+  return note;
+};
+
+/* ------------------- FAVORITES ------------------- */
+router.get("/favorites", async (req, res) => {
+  try {
+    const student = await Student.findById(req.user.id, "favoriteNotes");
+    if (!student) return res.status(404).json({ message: "Student not found" });
+
+    // Most recently favorited first
+    const notes = await notesInOrder([...student.favoriteNotes].reverse());
+    res.json({ notes });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.post("/favorites/:noteId", async (req, res) => {
+  try {
+    const note = await findNote(req, res);
+    if (!note) return;
+
+    const student = await Student.findByIdAndUpdate(
+      req.user.id,
+      { $addToSet: { favoriteNotes: note._id } },
+      { new: true }
+    );
+    if (!student) return res.status(404).json({ message: "Student not found" });
+
+    res.json({ message: "Added to favorites", noteId: note._id });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Unfavoriting also takes the note out of every collection
+router.delete("/favorites/:noteId", async (req, res) => {
+  try {
+    const { noteId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(noteId))
+      return res.status(400).json({ message: "Invalid note ID" });
+
+    const student = await Student.findByIdAndUpdate(req.user.id, {
+      $pull: { favoriteNotes: noteId, "collections.$[].notes": noteId },
+    });
+    if (!student) return res.status(404).json({ message: "Student not found" });
+
+    res.json({ message: "Removed from favorites", noteId });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+/* ------------------- COLLECTIONS ------------------- */
+router.get("/collections", async (req, res) => {
+  try {
+    const student = await Student.findById(req.user.id, "collections");
+    if (!student) return res.status(404).json({ message: "Student not found" });
+
+    const published = await publishedIds(
+      student.collections.flatMap((c) => c.notes)
+    );
+    res.json({
+      collections: student.collections.map((c) =>
+        collectionSummary(c, published)
+      ),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.post("/collections", async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name)
+      return res.status(400).json({ message: "Collection name required" });
+
+    const student = await Student.findById(req.user.id);
+    if (!student) return res.status(404).json({ message: "Student not found" });
+    if (
+      student.collections.some(
+        (c) => c.name.toLowerCase() === name.toLowerCase()
+      )
+    )
+      return res
+        .status(400)
+        .json({ message: "A collection with this name already exists" });
+
+    student.collections.push({ name, notes: [] });
+    await student.save();
+
+    const created = student.collections[student.collections.length - 1];
+    res.status(201).json({ collection: await summarize(created) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.get("/collections/:collectionId", async (req, res) => {
+  try {
+    const student = await Student.findById(req.user.id, "collections");
+    const collection = student?.collections.id(req.params.collectionId);
+    if (!collection)
+      return res.status(404).json({ message: "Collection not found" });
+
+    res.json({
+      collection: await summarize(collection),
+      notes: await notesInOrder(collection.notes),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.put("/collections/:collectionId", async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name)
+      return res.status(400).json({ message: "Collection name required" });
+
+    const student = await Student.findById(req.user.id);
+    const collection = student?.collections.id(req.params.collectionId);
+    if (!collection)
+      return res.status(404).json({ message: "Collection not found" });
+    if (
+      student.collections.some(
+        (c) =>
+          !c._id.equals(collection._id) &&
+          c.name.toLowerCase() === name.toLowerCase()
+      )
+    )
+      return res
+        .status(400)
+        .json({ message: "A collection with this name already exists" });
+
+    collection.name = name;
+    await student.save();
+    res.json({ collection: await summarize(collection) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Deleting a collection keeps its notes in favorites
+router.delete("/collections/:collectionId", async (req, res) => {
+  try {
+    const student = await Student.findById(req.user.id);
+    const collection = student?.collections.id(req.params.collectionId);
+    if (!collection)
+      return res.status(404).json({ message: "Collection not found" });
+
+    collection.deleteOne();
+    await student.save();
+    res.json({ message: "Collection deleted" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Adding a note to a collection favorites it as well
+router.post("/collections/:collectionId/notes/:noteId", async (req, res) => {
+  try {
+    const note = await findNote(req, res);
+    if (!note) return;
+
+    const student = await Student.findById(req.user.id);
+    const collection = student?.collections.id(req.params.collectionId);
+    if (!collection)
+      return res.status(404).json({ message: "Collection not found" });
+
+    collection.notes.addToSet(note._id);
+    student.favoriteNotes.addToSet(note._id);
+    await student.save();
+    res.json({ collection: await summarize(collection) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.delete("/collections/:collectionId/notes/:noteId", async (req, res) => {
+  try {
+    const student = await Student.findById(req.user.id);
+    const collection = student?.collections.id(req.params.collectionId);
+    if (!collection)
+      return res.status(404).json({ message: "Collection not found" });
+
+    collection.notes.pull(req.params.noteId);
+    await student.save();
+    res.json({ collection: await summarize(collection) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+export default router;
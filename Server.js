@@ -9,6 +9,16 @@ import notesRoutes from "./Routes/notes.js";
 import authRoutes from "./Routes/auth.js";
 import metaRoutes from "./Routes/meta.js";
 import adminRoutes from "./Routes/admin.js";
+import storageRoutes from "./Routes/storage.js";
+import studentRoutes from "./Routes/student.js";
+import storage from "./utils/storage/index.js";
+import { startMultipartCleanup } from "./utils/multipartCleanup.js";
+import { startExportJobs } from "./utils/exportJobs.js";
+import { startContentIndexing } from "./utils/contentIndex.js";
+import { startPreviewGeneration } from "./utils/notePreviews.js";
+import { startRecycleBinRetention } from "./utils/recycleBin.js";
+import { startModeration } from "./utils/moderation.js";
+import { startFacultyInvitations } from "./utils/facultyInvitations.js";
 
 
 const app = express();
@@ -26,7 +36,28 @@ const connectWithRetry = () => {
 
   mongoose
     .connect(process.env.MONGO_URI)
-    .then(() => console.log("MongoDB Connected"))
+    .then(() => {
+      console.log("MongoDB Connected");
+      startMultipartCleanup();
+      startRecycleBinRetention();
+      startExportJobs().catch((err) =>
+        console.error("Could not start export jobs:", err)
+      );
+      startFacultyInvitations().catch((err) =>
+        console.error("Could not start faculty invitations:", err)
+      );
+      // The queues save notes, so legacy ones get their status first
+      startModeration()
+        .catch((err) => console.error("Could not start moderation:", err))
+        .then(() => {
+          startContentIndexing().catch((err) =>
+            console.error("Could not start content indexing:", err)
+          );
+          startPreviewGeneration().catch((err) =>
+            console.error("Could not start preview generation:", err)
+          );
+        });
+    })
     .catch((err) => {
       console.error("MongoDB connection failed, retrying in 5 seconds...", err);
       setTimeout(connectWithRetry, 5000);
@@ -40,6 +71,8 @@ app.use("/api/notes", notesRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/meta", metaRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/student", studentRoutes);
+if (storage.name === "local") app.use("/api/storage", storageRoutes);
 
 
 // ===== Start Server =====
@@ -1,6 +1,7 @@
 import jwt from "jsonwebtoken";
+import { checkTokenSession } from "../utils/sessions.js";
 
-export const adminAuth = (req, res, next) => {
+export const adminAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
     return res.status(401).json({ message: "Unauthorized" });
@@ -15,6 +16,9 @@ export const adminAuth = (req, res, next) => {
       return res.status(403).json({ message: "Access denied: Admin only" });
     }
 
+    const sessionError = await checkTokenSession(decoded);
+    if (sessionError) return res.status(401).json({ message: sessionError });
+
     req.user = decoded;
     next();
   } catch (error) {
@@ -1,17 +1,29 @@
 import jwt from "jsonwebtoken";
+import { checkTokenSession } from "../utils/sessions.js";
 
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
     return res.status(401).json({ message: "Unauthorized" });
   }
 
   const token = authHeader.split(" ")[1];
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;   // { id, role }
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ message: "Invalid token" });
   }
+
+  // Revoked sessions and deleted users lose access right away
+  try {
+    const sessionError = await checkTokenSession(decoded);
+    if (sessionError) return res.status(401).json({ message: sessionError });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error" });
+  }
+
+  req.user = decoded;   // { id, role, sid }
+  next();
 };
@@ -0,0 +1,29 @@
+import os from "os";
+import multer from "multer";
+
+// Small admin import files (CSV / JSON) are read into memory; they never
+// go to storage. Requests without a multipart body pass straight through.
+const MAX_IMPORT_FILE_MB = Number(process.env.MAX_IMPORT_FILE_MB || 2);
+// Backup bundles can carry every stored file, so they are spooled to a
+// temporary file instead (the route removes it)
+const MAX_BACKUP_FILE_MB = Number(process.env.MAX_BACKUP_FILE_MB || 2048);
+
+const withJsonErrors = (upload) => (req, res, next) =>
+  upload(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+
+export const importFile = withJsonErrors(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_FILE_MB * 1024 * 1024, files: 1 },
+  }).single("file")
+);
+
+export const backupFile = withJsonErrors(
+  multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: MAX_BACKUP_FILE_MB * 1024 * 1024, files: 1 },
+  }).single("file")
+);
@@ -0,0 +1,57 @@
+// utils/adminScope.js
+import Branch from "../Models/Branch.js";
+
+// ===== Department admin scope =====
+// A department admin manages whole regulations and/or single branches.
+// Scope objects below are null for super admins (no restriction).
+
+export const loadAdminScope = async (admin) => {
+  if (admin.type === "super") return null;
+
+  const branches = await Branch.find(
+    {
+      $or: [
+        { _id: { $in: admin.scope?.branches || [] } },
+        { regulation: { $in: admin.scope?.regulations || [] } },
+      ],
+    },
+    "_id regulation"
+  ).setOptions({ withDeleted: true }); // recycle bin items stay manageable
+
+  return {
+    regulationIds: (admin.scope?.regulations || []).map(String),
+    branchIds: branches.map((b) => String(b._id)),
+    // regulations the admin can see because one of their branches is in it
+    visibleRegulationIds: [
+      ...new Set([
+        ...(admin.scope?.regulations || []).map(String),
+        ...branches.map((b) => String(b.regulation)),
+      ]),
+    ],
+  };
+};
+
+// Query fragments limiting listings to the scope
+export const scopeQuery = {
+  regulation: (scope) =>
+    scope ? { _id: { $in: scope.visibleRegulationIds } } : {},
+  branch: (scope) => (scope ? { _id: { $in: scope.branchIds } } : {}),
+  subject: (scope) => (scope ? { branch: { $in: scope.branchIds } } : {}),
+  note: (scope) => (scope ? { branch: { $in: scope.branchIds } } : {}),
+  recycleBin: (scope) =>
+    scope
+      ? {
+          $or: [
+            { entity: "regulation", regulation: { $in: scope.regulationIds } },
+            { entity: { $ne: "regulation" }, branch: { $in: scope.branchIds } },
+          ],
+        }
+      : {},
+};
+
+// Whether a single entity may be modified
+export const canManageRegulation = (scope, regulationId) =>
+  !scope || scope.regulationIds.includes(String(regulationId));
+
+export const canManageBranch = (scope, branchId) =>
+  !scope || scope.branchIds.includes(String(branchId));
@@ -0,0 +1,268 @@
+// utils/adminStats.js
+import mongoose from "mongoose";
+import Regulation from "../Models/Regulation.js";
+import Branch from "../Models/Branch.js";
+import Subject from "../Models/Subject.js";
+import Faculty from "../Models/Faculty.js";
+import Note from "../Models/Note.js";
+import { scopeQuery } from "./adminScope.js";
+
+// ===== Admin dashboard statistics =====
+// Everything GET /api/admin/stats returns, computed server side with
+// aggregation pipelines and limited to the admin's scope. Pipelines don't
+// cast ids, so scope ids are turned into ObjectIds here.
+
+const MAX_MONTHS = 36;
+const ACTIVE_FACULTY_LIMIT = 5;
+
+const objectIds = (ids) => ids.map((id) => new mongoose.Types.ObjectId(id));
+
+// Counts per group, with the grouped document's name looked up
+const countBy = (field, Model, project) => [
+  { $group: { _id: `$${field}`, notes: { $sum: 1 } } },
+  {
+    $lookup: {
+      from: Model.collection.name,
+      localField: "_id",
+      foreignField: "_id",
+      as: "doc",
+    },
+  },
+  { $unwind: { path: "$doc", preserveNullAndEmptyArrays: true } },
+  { $project: { _id: 1, notes: 1, ...project } },
+  { $sort: { notes: -1 } },
+];
+
+// "2025-01" .. current month, so months without uploads show up as 0
+const lastMonths = (months) => {
+  const now = new Date();
+  return Array.from({ length: months }, (_, i) => {
+    const d = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - months + 1 + i, 1)
+    );
+    return d.toISOString().slice(0, 7);
+  });
+};
+
+const noteCounts = (noteMatch, months) => {
+  const since = new Date(`${lastMonths(months)[0]}-01T00:00:00Z`);
+  return Note.aggregate([
+    { $match: noteMatch },
+    {
+      $facet: {
+        total: [{ $count: "notes" }],
+        byStatus: [
+          { $group: { _id: "$moderation.status", notes: { $sum: 1 } } },
+        ],
+        byRegulation: countBy("regulation", Regulation, {
+          name: "$doc.name",
+        }),
+        byBranch: countBy("branch", Branch, { name: "$doc.name" }),
+        bySemester: [
+          { $group: { _id: "$semester", notes: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+        ],
+        bySubject: countBy("subject", Subject, {
+          name: "$doc.name",
+          code: "$doc.code",
+          branch: "$doc.branch",
+          semester: "$doc.semester",
+        }),
+        uploadsOverTime: [
+          { $match: { createdAt: { $gte: since } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m", date: "$createdAt" } },
+              notes: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+};
+
+// Live subjects of the scope without a single live note
+const subjectsWithoutNotes = (branchIds) =>
+  Subject.aggregate([
+    ...(branchIds ? [{ $match: { branch: { $in: branchIds } } }] : []),
+    {
+      $lookup: {
+        from: Note.collection.name,
+        let: { subject: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$subject", "$$subject"] },
+              deletedAt: null,
+            },
+          },
+          { $limit: 1 },
+        ],
+        as: "notes",
+      },
+    },
+    { $match: { notes: { $size: 0 } } },
+    { $project: { name: 1, code: 1, branch: 1, semester: 1 } },
+    { $sort: { branch: 1, semester: 1, code: 1 } },
+  ]);
+
+// Uploads (and downloads of them) per faculty member. Department admins
+// only see faculty who uploaded inside their scope.
+const facultyActivity = (noteMatch, scoped) =>
+  Faculty.aggregate([
+    {
+      $lookup: {
+        from: Note.collection.name,
+        let: { faculty: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$uploadedBy", "$$faculty"] },
+              deletedAt: null,
+              ...noteMatch,
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              notes: { $sum: 1 },
+              downloads: { $sum: { $ifNull: ["$stats.downloads", 0] } },
+              lastUploadAt: { $max: "$createdAt" },
+            },
+          },
+        ],
+        as: "uploads",
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        email: 1,
+        employeeId: 1,
+        notes: { $ifNull: [{ $arrayElemAt: ["$uploads.notes", 0] }, 0] },
+        downloads: {
+          $ifNull: [{ $arrayElemAt: ["$uploads.downloads", 0] }, 0],
+        },
+        lastUploadAt: { $arrayElemAt: ["$uploads.lastUploadAt", 0] },
+      },
+    },
+    ...(scoped ? [{ $match: { notes: { $gt: 0 } } }] : []),
+    {
+      $facet: {
+        mostActive: [
+          { $sort: { notes: -1, downloads: -1 } },
+          { $limit: ACTIVE_FACULTY_LIMIT },
+        ],
+        leastActive: [
+          { $sort: { notes: 1, lastUploadAt: 1 } },
+          { $limit: ACTIVE_FACULTY_LIMIT },
+        ],
+      },
+    },
+  ]);
+
+// Bytes of every stored note file (all versions), recycle bin included
+// since those files are still in storage. Files uploaded before sizes
+// were recorded are counted in unknownSizeFiles.
+const storageUsed = (noteMatch) =>
+  Note.aggregate([
+    { $match: noteMatch },
+    {
+      $project: {
+        inRecycleBin: { $ne: [{ $ifNull: ["$deletedAt", null] }, null] },
+        files: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ["$versions", []] } }, 0] },
+            "$versions",
+            [{ fileKey: "$fileKey" }],
+          ],
+        },
+      },
+    },
+    { $unwind: "$files" },
+    {
+      $group: {
+        _id: "$inRecycleBin",
+        bytes: { $sum: { $ifNull: ["$files.size", 0] } },
+        files: { $sum: 1 },
+        unknownSizeFiles: {
+          $sum: {
+            $cond: [{ $eq: [{ $type: "$files.size" }, "missing"] }, 1, 0],
+          },
+        },
+      },
+    },
+  ]).option({ withDeleted: true });
+
+/**
+ * Dashboard numbers for an admin scope (null for super admins).
+ * `months` is the uploads-over-time window (default 12).
+ */
+export const buildAdminStats = async (scope, { months } = {}) => {
+  const window = Math.min(Math.max(Number(months) || 12, 1), MAX_MONTHS);
+  const branchIds = scope ? objectIds(scope.branchIds) : null;
+  const noteMatch = branchIds ? { branch: { $in: branchIds } } : {};
+
+  const [
+    regulations,
+    branches,
+    subjects,
+    faculty,
+    [counts],
+    emptySubjects,
+    [activity],
+    storage,
+  ] = await Promise.all([
+    Regulation.countDocuments(scopeQuery.regulation(scope)),
+    Branch.countDocuments(scopeQuery.branch(scope)),
+    Subject.countDocuments(scopeQuery.subject(scope)),
+    // department admins: faculty who uploaded inside the scope
+    scope
+      ? Note.distinct("uploadedBy", noteMatch).then((ids) => ids.length)
+      : Faculty.countDocuments(),
+    noteCounts(noteMatch, window),
+    subjectsWithoutNotes(branchIds),
+    facultyActivity(noteMatch, Boolean(scope)),
+    storageUsed(noteMatch),
+  ]);
+
+  const perMonth = new Map(counts.uploadsOverTime.map((m) => [m._id, m.notes]));
+  const live = storage.find((s) => !s._id) || {};
+  const binned = storage.find((s) => s._id) || {};
+
+  return {
+    totals: {
+      regulations,
+      branches,
+      subjects,
+      faculty,
+      notes: counts.total[0]?.notes || 0,
+    },
+    notes: {
+      byStatus: Object.fromEntries(
+        counts.byStatus.map((s) => [s._id, s.notes])
+      ),
+      byRegulation: counts.byRegulation,
+      byBranch: counts.byBranch,
+      bySemester: counts.bySemester.map((s) => ({
+        semester: s._id,
+        notes: s.notes,
+      })),
+      bySubject: counts.bySubject,
+    },
+    subjectsWithoutNotes: emptySubjects,
+    faculty: activity,
+    uploadsOverTime: lastMonths(window).map((month) => ({
+      month,
+      notes: perMonth.get(month) || 0,
+    })),
+    storage: {
+      bytes: (live.bytes || 0) + (binned.bytes || 0),
+      files: (live.files || 0) + (binned.files || 0),
+      recycleBinBytes: binned.bytes || 0,
+      unknownSizeFiles:
+        (live.unknownSizeFiles || 0) + (binned.unknownSizeFiles || 0),
+    },
+  };
+};
@@ -0,0 +1,175 @@
+// utils/audit.js
+import mongoose from "mongoose";
+import AuditLog from "../Models/AuditLog.js";
+
+// Values that are stored as "[redacted]" (a change is still recorded)
+const SECRET_FIELDS = [
+  "password",
+  "refreshTokenHash",
+  "previousTokenHash",
+  "invitationTokenHash",
+];
+// Bookkeeping fields left out of the diff
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+const REDACTED = "[redacted]";
+
+export const AUDIT_MAX_LIMIT = 200;
+
+// Plain JSON copy of a document, so ObjectIds/dates compare as strings
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const obj =
+    typeof doc.toObject === "function"
+      ? doc.toObject({ depopulate: true })
+      : doc;
+  return JSON.parse(JSON.stringify(obj));
+};
+
+const redact = (obj) => {
+  if (!obj) return undefined;
+  const copy = { ...obj };
+  for (const field of SECRET_FIELDS) if (field in copy) copy[field] = REDACTED;
+  return copy;
+};
+
+// { field: { before, after } } for every field that differs
+export const diffSnapshots = (before, after) => {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const was = before?.[field];
+    const now = after?.[field];
+    if (JSON.stringify(was) === JSON.stringify(now)) continue;
+    changes[field] = SECRET_FIELDS.includes(field)
+      ? { before: REDACTED, after: REDACTED }
+      : { before: was ?? null, after: now ?? null };
+  }
+  return changes;
+};
+
+/**
+ * Records one audit entry for a mutating request. `before` / `after` are
+ * the record (document or plain object) around the change; pass only one
+ * for creates and deletes. `actor` ({ id, role }) replaces req.user on
+ * routes without a token (register, login).
+ * Never throws: a failed audit write is logged and the request carries on.
+ */
+export const recordAudit = async (
+  req,
+  { action, entity, entityId, before, after, details, actor }
+) => {
+  try {
+    const who = actor || req.user || {};
+    const was = snapshot(before);
+    const now = snapshot(after);
+    await AuditLog.create({
+      actor: who.id,
+      actorRole: who.role || "anonymous",
+      action,
+      entity,
+      entityId: entityId || now?._id || was?._id,
+      before: redact(was),
+      after: redact(now),
+      changes: was && now ? diffSnapshots(was, now) : undefined,
+      details,
+      ip: req.ip,
+      userAgent: req.get?.("user-agent"),
+    });
+  } catch (err) {
+    console.error("Audit log error:", err);
+  }
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Turns /api/admin/audit-logs query params into an AuditLog filter.
+ * Resolves to { filter, page, limit } or { error } for a bad request.
+ */
+export const buildAuditFilter = (query) => {
+  const {
+    actor,
+    actorRole,
+    entity,
+    entityId,
+    action,
+    from,
+    to,
+    page = 1,
+    limit = 50,
+  } = query;
+
+  const filter = {};
+  const refs = { actor, entityId };
+  for (const [field, value] of Object.entries(refs)) {
+    if (!value) continue;
+    if (!mongoose.Types.ObjectId.isValid(value))
+      return { error: `Invalid ${field}` };
+    filter[field] = value;
+  }
+  if (actorRole) filter.actorRole = String(actorRole);
+  if (entity) filter.entity = String(entity);
+  if (action) filter.action = String(action);
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = parseDate(from);
+      if (!fromDate) return { error: "Invalid from date" };
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = parseDate(to);
+      if (!toDate) return { error: "Invalid to date" };
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  const pageNum = Number(page);
+  const limitNum = Number(limit);
+  if (!Number.isInteger(pageNum) || pageNum < 1)
+    return { error: "page must be a positive integer" };
+  if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > AUDIT_MAX_LIMIT)
+    return { error: `limit must be between 1 and ${AUDIT_MAX_LIMIT}` };
+
+  return { filter, page: pageNum, limit: limitNum };
+};
+
+// ===== CSV export =====
+export const AUDIT_CSV_HEADER = [
+  "createdAt",
+  "actor",
+  "actorRole",
+  "action",
+  "entity",
+  "entityId",
+  "changes",
+  "details",
+  "ip",
+  "userAgent",
+];
+
+const csvText = (value) => {
+  if (value == null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const csvCell = (value) => {
+  let text = csvText(value);
+  // keep spreadsheets from evaluating stored text as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const auditCsvRow = (log) =>
+  AUDIT_CSV_HEADER.map((field) => csvCell(log[field])).join(",");
@@ -0,0 +1,606 @@
+// utils/backup.js
+import fs from "fs";
+import mongoose from "mongoose";
+import archiver from "archiver";
+import yauzl from "yauzl";
+import Regulation from "../Models/Regulation.js";
+import Branch from "../Models/Branch.js";
+import Subject from "../Models/Subject.js";
+import Faculty from "../Models/Faculty.js";
+import Note from "../Models/Note.js";
+import { sameText } from "./catalog.js";
+import { getObjectInfo, getObjectStream, uploadStream } from "./s3.js";
+import { appendEntry } from "./zipExport.js";
+import { queueContentIndex } from "./contentIndex.js";
+import { queueNotePreviews } from "./notePreviews.js";
+
+// ===== Backup and restore =====
+// A backup bundle is one JSON document (backup.json inside a ZIP, next to
+// files/<fileKey> when files are included) with the live catalog, the
+// faculty list without passwords and note metadata. Restoring either fills
+// an empty database keeping the original ids, or merges into an existing
+// one: records are matched on the same natural keys the catalog uses
+// (regulation name, branch code, subject code + semester, employee ID /
+// email, note fileKey) and everything new gets a fresh ObjectId.
+// Restored faculty are pending and need an invitation to set a password.
+
+export const BACKUP_FORMAT = "kithab-backup";
+export const BACKUP_VERSION = 1;
+export const BACKUP_FORMATS = ["json", "zip"];
+export const RESTORE_MODES = ["restore", "merge"];
+const BUNDLE_ENTRY = "backup.json";
+const FILES_PREFIX = "files/";
+
+const FIELDS = {
+  regulations: "name numberOfSemesters createdAt updatedAt",
+  branches: "name code regulation createdAt updatedAt",
+  subjects: "name code branch semester createdAt updatedAt",
+  faculty: "name email employeeId designation assignedSubjects createdAt",
+  notes:
+    "title regulation subject branch semester description tags unit " +
+    "resourceType academicYear fileKey uploadedBy createdAt moderation " +
+    "versions currentVersion",
+};
+
+// Every stored file of a note (all versions), without repeats
+const noteFileKeys = (note) => [
+  ...new Set(
+    [note.fileKey, ...(note.versions || []).map((v) => v.fileKey)].filter(
+      Boolean
+    )
+  ),
+];
+
+// ===== Export =====
+
+export const buildBackup = async ({ includeFiles = false } = {}) => {
+  const [regulations, branches, subjects, faculty, notes] = await Promise.all([
+    Regulation.find({}, FIELDS.regulations).lean(),
+    Branch.find({}, FIELDS.branches).lean(),
+    Subject.find({}, FIELDS.subjects).lean(),
+    Faculty.find({}, FIELDS.faculty).lean(),
+    Note.find({}, FIELDS.notes).lean(),
+  ]);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    includesFiles: includeFiles,
+    counts: {
+      regulations: regulations.length,
+      branches: branches.length,
+      subjects: subjects.length,
+      faculty: faculty.length,
+      notes: notes.length,
+    },
+    regulations,
+    branches,
+    subjects,
+    faculty,
+    notes,
+  };
+};
+
+/**
+ * Streams a bundle as a ZIP into `output`: backup.json, then (optionally)
+ * every note file under files/. Files that can't be read are listed in
+ * missing-files.json. Resolves to { files, missing }.
+ */
+export const streamBackupArchive = async (
+  bundle,
+  output,
+  { includeFiles = false } = {}
+) => {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  let finished = false;
+
+  // Stop reading from storage if the client goes away mid-download
+  const closedEarly = new Promise((resolve, reject) =>
+    output.on("close", () => {
+      if (finished) return resolve();
+      archive.abort();
+      reject(new Error("Output closed before the archive was complete"));
+    })
+  );
+  closedEarly.catch(() => {});
+  archive.pipe(output);
+  const append = (source, name) =>
+    Promise.race([appendEntry(archive, source, name), closedEarly]);
+
+  await append(JSON.stringify(bundle), BUNDLE_ENTRY);
+
+  let files = 0;
+  const missing = [];
+  if (includeFiles)
+    for (const key of new Set(bundle.notes.flatMap(noteFileKeys))) {
+      let source;
+      try {
+        if (!(await getObjectInfo(key)))
+          throw new Error("File not found in storage");
+        source = await getObjectStream(key);
+      } catch (err) {
+        missing.push({ fileKey: key, reason: err.message });
+        continue;
+      }
+      await append(source, `${FILES_PREFIX}${key}`);
+      files++;
+    }
+  if (missing.length)
+    archive.append(JSON.stringify(missing, null, 2), {
+      name: "missing-files.json",
+    });
+
+  await Promise.race([archive.finalize(), closedEarly]);
+  finished = true;
+  return { files, missing };
+};
+
+// ===== Restore =====
+
+// A backup ZIP: { entries (Map by name), openEntry(name) -> Readable or
+// null, close() }
+const openBackupZip = async (filePath) => {
+  const zipfile = await yauzl.openPromise(filePath, { autoClose: false });
+  const entries = new Map();
+  try {
+    for await (const entry of zipfile.eachEntry())
+      if (!entry.fileName.endsWith("/")) entries.set(entry.fileName, entry);
+  } catch (err) {
+    zipfile.close();
+    throw err;
+  }
+  return {
+    entries,
+    openEntry: async (name) =>
+      entries.has(name)
+        ? zipfile.openReadStreamPromise(entries.get(name))
+        : null,
+    close: async () => zipfile.close(),
+  };
+};
+
+const readStreamText = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+/**
+ * Reads an uploaded bundle (multer file on disk, .json or .zip).
+ * Resolves to { bundle, zip } (zip is null for JSON, close it when done)
+ * or { error }.
+ */
+export const readBackupFile = async (file) => {
+  const handle = await fs.promises.open(file.path, "r");
+  const magic = Buffer.alloc(4);
+  await handle.read(magic, 0, 4, 0);
+  await handle.close();
+
+  let zip = null;
+  let text;
+  try {
+    if (magic.toString("latin1") === "PK\x03\x04") {
+      zip = await openBackupZip(file.path);
+      const entry = await zip.openEntry(BUNDLE_ENTRY);
+      if (!entry) {
+        await zip.close();
+        return { error: `The ZIP has no ${BUNDLE_ENTRY}` };
+      }
+      text = await readStreamText(entry);
+    } else text = await fs.promises.readFile(file.path, "utf8");
+  } catch (err) {
+    await zip?.close();
+    return { error: `Could not read the backup: ${err.message}` };
+  }
+
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    await zip?.close();
+    return { error: "The backup is not valid JSON" };
+  }
+  if (bundle?.format !== BACKUP_FORMAT) {
+    await zip?.close();
+    return { error: "This is not a backup bundle" };
+  }
+  if (!(bundle.version <= BACKUP_VERSION)) {
+    await zip?.close();
+    return {
+      error: `Backup version ${bundle.version} is newer than this server supports (${BACKUP_VERSION})`,
+    };
+  }
+  return { bundle, zip };
+};
+
+const withDeleted = { withDeleted: true };
+// fields a backup record can't be restored without
+const REQUIRED = {
+  regulation: ["name", "numberOfSemesters"],
+  branch: ["name", "code"],
+  subject: ["name", "code", "semester"],
+  faculty: ["name", "email", "employeeId"],
+  note: ["title", "semester", "fileKey"],
+};
+// entries of a JSON array, {} for null items
+const list = (value) =>
+  Array.isArray(value) ? value.map((item) => item || {}) : [];
+
+// Restore mode only works on a database without any of these records
+const isDatabaseEmpty = async () => {
+  const found = await Promise.all([
+    Regulation.exists({}).setOptions(withDeleted),
+    Branch.exists({}).setOptions(withDeleted),
+    Subject.exists({}).setOptions(withDeleted),
+    Faculty.exists({}),
+    Note.exists({}).setOptions(withDeleted),
+  ]);
+  return !found.some(Boolean);
+};
+
+/**
+ * Works out what a restore would do without writing anything.
+ * Resolves to a plan (see restoreReport) or { status, error }.
+ */
+export const planRestore = async (bundle, { mode = "merge", zip } = {}) => {
+  if (mode === "restore" && !(await isDatabaseEmpty()))
+    return {
+      status: 409,
+      error: "The database is not empty, use mode=merge to merge the backup",
+    };
+
+  const merge = mode === "merge";
+  const ids = {
+    regulation: new Map(),
+    branch: new Map(),
+    subject: new Map(),
+    faculty: new Map(),
+  };
+  const create = {
+    regulations: [],
+    branches: [],
+    subjects: [],
+    faculty: [],
+    notes: [],
+  };
+  const counts = {};
+  const conflicts = [];
+  const tally = (entity, outcome) => {
+    counts[entity] = counts[entity] || { created: 0, existing: 0, skipped: 0 };
+    counts[entity][outcome]++;
+  };
+  const conflict = (entity, record, label, message) => {
+    conflicts.push({ entity, id: record._id, label, message });
+    tally(entity, "skipped");
+  };
+  // Skips (as a conflict) a record missing required fields
+  const incomplete = (entity, record, label) => {
+    const missing = REQUIRED[entity].filter(
+      (field) => record[field] == null || record[field] === ""
+    );
+    if (missing.length)
+      conflict(entity, record, label, `Missing ${missing.join(", ")}`);
+    return missing.length > 0;
+  };
+  // Id of a created record: fresh when merging, the original on restore
+  const newId = (record) =>
+    merge || !mongoose.isValidObjectId(record._id)
+      ? new mongoose.Types.ObjectId()
+      : new mongoose.Types.ObjectId(String(record._id));
+  // Maps a backup record to its existing match or to a record to create
+  const settle = (entity, collection, record, match, doc) => {
+    if (match?.deletedAt)
+      return conflict(
+        entity,
+        record,
+        doc.label,
+        "A matching record is in the recycle bin"
+      );
+    if (match) {
+      ids[entity].set(String(record._id), match._id);
+      return tally(entity, "existing");
+    }
+    const _id = newId(record);
+    ids[entity].set(String(record._id), _id);
+    create[collection].push({ ...doc.fields, _id });
+    tally(entity, "created");
+  };
+
+  for (const r of list(bundle.regulations)) {
+    if (incomplete("regulation", r, r.name)) continue;
+    const match = merge
+      ? await Regulation.findOne({ name: sameText(r.name) }).setOptions(
+          withDeleted
+        )
+      : null;
+    if (
+      match &&
+      !match.deletedAt &&
+      match.numberOfSemesters !== r.numberOfSemesters
+    )
+      conflicts.push({
+        entity: "regulation",
+        id: r._id,
+        label: r.name,
+        message: `Merged into the existing regulation with ${match.numberOfSemesters} semesters (backup has ${r.numberOfSemesters})`,
+      });
+    settle("regulation", "regulations", r, match, {
+      label: r.name,
+      fields: {
+        name: r.name,
+        numberOfSemesters: r.numberOfSemesters,
+        createdAt: r.createdAt,
+      },
+    });
+  }
+
+  for (const b of list(bundle.branches)) {
+    if (incomplete("branch", b, b.code)) continue;
+    const regulation = ids.regulation.get(String(b.regulation));
+    if (!regulation) {
+      conflict("branch", b, b.code, "Its regulation was not restored");
+      continue;
+    }
+    const match = merge
+      ? await Branch.findOne({
+          regulation,
+          code: sameText(b.code),
+        }).setOptions(withDeleted)
+      : null;
+    settle("branch", "branches", b, match, {
+      label: b.code,
+      fields: {
+        name: b.name,
+        code: b.code,
+        regulation,
+        createdAt: b.createdAt,
+      },
+    });
+  }
+
+  for (const s of list(bundle.subjects)) {
+    if (incomplete("subject", s, s.code)) continue;
+    const branch = ids.branch.get(String(s.branch));
+    if (!branch) {
+      conflict("subject", s, s.code, "Its branch was not restored");
+      continue;
+    }
+    const match = merge
+      ? await Subject.findOne({
+          branch,
+          semester: s.semester,
+          code: sameText(s.code),
+        }).setOptions(withDeleted)
+      : null;
+    settle("subject", "subjects", s, match, {
+      label: s.code,
+      fields: {
+        name: s.name,
+        code: s.code,
+        branch,
+        semester: s.semester,
+        createdAt: s.createdAt,
+      },
+    });
+  }
+
+  for (const f of list(bundle.faculty)) {
+    if (incomplete("faculty", f, f.employeeId)) continue;
+    const matches = merge
+      ? await Faculty.find({
+          $or: [{ employeeId: f.employeeId }, { email: sameText(f.email) }],
+        })
+      : [];
+    if (matches.length > 1) {
+      conflict(
+        "faculty",
+        f,
+        f.employeeId,
+        "Employee ID and email belong to different faculty members"
+      );
+      continue;
+    }
+    if (matches[0] && matches[0].employeeId !== f.employeeId) {
+      conflict(
+        "faculty",
+        f,
+        f.employeeId,
+        `Email is used by faculty ${matches[0].employeeId}`
+      );
+      continue;
+    }
+    settle("faculty", "faculty", f, matches[0], {
+      label: f.employeeId,
+      fields: {
+        name: f.name,
+        email: f.email,
+        employeeId: f.employeeId,
+        designation: f.designation,
+        createdAt: f.createdAt,
+        status: "pending",
+        assignedSubjects: list(f.assignedSubjects)
+          .map((id) => ids.subject.get(String(id)))
+          .filter(Boolean),
+      },
+    });
+  }
+
+  const files = { inBundle: 0, alreadyStored: 0, missing: [] };
+  for (const n of list(bundle.notes)) {
+    if (incomplete("note", n, n.title)) continue;
+    const refs = {
+      regulation: ids.regulation.get(String(n.regulation)),
+      branch: ids.branch.get(String(n.branch)),
+      subject: ids.subject.get(String(n.subject)),
+      uploadedBy: ids.faculty.get(String(n.uploadedBy)),
+    };
+    const lost = Object.keys(refs).find((ref) => !refs[ref]);
+    if (lost) {
+      conflict("note", n, n.title, `Its ${lost} was not restored`);
+      continue;
+    }
+    // Any file of the note, current or an older version, already used by
+    // a note (as its file or in its history) means the note is here
+    const keys = noteFileKeys(n);
+    const match = merge
+      ? await Note.findOne({
+          $or: [
+            { fileKey: { $in: keys } },
+            { "versions.fileKey": { $in: keys } },
+          ],
+        }).setOptions(withDeleted)
+      : null;
+    if (match && !match.deletedAt) {
+      tally("note", "existing");
+      continue;
+    }
+    if (match) {
+      conflict("note", n, n.title, "The same file is in the recycle bin");
+      continue;
+    }
+
+    for (const key of keys) {
+      if (zip?.entries.has(`${FILES_PREFIX}${key}`)) files.inBundle++;
+      else if (await getObjectInfo(key)) files.alreadyStored++;
+      else files.missing.push({ note: n._id, title: n.title, fileKey: key });
+    }
+
+    create.notes.push({
+      _id: newId(n),
+      ...refs,
+      title: n.title,
+      semester: n.semester,
+      description: n.description,
+      tags: n.tags,
+      unit: n.unit,
+      resourceType: n.resourceType,
+      academicYear: n.academicYear,
+      fileKey: n.fileKey,
+      createdAt: n.createdAt,
+      // reviewers are admins, which backups don't carry
+      moderation: {
+        // no status: a note from before moderation, which was public
+        status: n.moderation?.status || "approved",
+        reason: n.moderation?.reason,
+        submittedAt: n.moderation?.submittedAt,
+        reviewedAt: n.moderation?.reviewedAt,
+      },
+      versions: list(n.versions)
+        .filter((v) => v.version && v.fileKey)
+        .map((v) => ({
+          version: v.version,
+          fileKey: v.fileKey,
+          originalName: v.originalName,
+          fileType: v.fileType,
+          size: v.size,
+          comment: v.comment,
+          uploadedBy: ids.faculty.get(String(v.uploadedBy)) || refs.uploadedBy,
+          uploadedAt: v.uploadedAt,
+        })),
+      currentVersion: n.currentVersion,
+    });
+    tally("note", "created");
+  }
+
+  return { mode, counts, conflicts, files, create };
+};
+
+export const restoreReport = (plan) => ({
+  mode: plan.mode,
+  counts: plan.counts,
+  files: {
+    inBundle: plan.files.inBundle,
+    alreadyStored: plan.files.alreadyStored,
+    missing: plan.files.missing,
+  },
+  // restored faculty log in after an invitation (POST /faculty/:id/invitation)
+  pendingFaculty: plan.create.faculty.length,
+  conflicts: plan.conflicts,
+});
+
+// Copies the bundle's files of the notes being created into storage
+// (files already there are left alone). Resolves to { uploaded, failed }.
+const restoreFiles = async (notes, zip) => {
+  let uploaded = 0;
+  const failed = [];
+  if (!zip) return { uploaded, failed };
+  const contentTypes = new Map(
+    notes.flatMap((n) => n.versions.map((v) => [v.fileKey, v.fileType]))
+  );
+  for (const key of new Set(notes.flatMap(noteFileKeys))) {
+    const name = `${FILES_PREFIX}${key}`;
+    if (!zip.entries.has(name)) continue;
+    try {
+      if (await getObjectInfo(key)) continue;
+      await uploadStream(key, await zip.openEntry(name), contentTypes.get(key));
+      uploaded++;
+    } catch (err) {
+      failed.push({ fileKey: key, reason: err.message });
+    }
+  }
+  return { uploaded, failed };
+};
+
+/**
+ * Writes a plan: every record in one transaction, then the bundle's files
+ * (so an aborted restore leaves nothing in storage), then text indexing
+ * and previews for the new notes. Resolves to { uploaded, failed } for the
+ * files, or { status, error }.
+ */
+export const applyRestore = async (plan, { zip } = {}) => {
+  const { create } = plan;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    await Regulation.insertMany(create.regulations, { session });
+    await Branch.insertMany(create.branches, { session });
+    await Subject.insertMany(create.subjects, { session });
+    await Faculty.insertMany(create.faculty, { session });
+    await Note.insertMany(create.notes, { session });
+
+    const uploads = new Map();
+    for (const note of create.notes) {
+      const key = String(note.uploadedBy);
+      uploads.set(key, [...(uploads.get(key) || []), note._id]);
+    }
+    if (uploads.size)
+      await Faculty.bulkWrite(
+        [...uploads].map(([faculty, noteIds]) => ({
+          updateOne: {
+            filter: { _id: faculty },
+            update: { $addToSet: { uploadedNotes: { $each: noteIds } } },
+          },
+        })),
+        { session }
+      );
+
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    if (err.code === 11000)
+      return {
+        status: 409,
+        error:
+          "A record already exists or repeats in the backup, nothing was restored",
+      };
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  const files = await restoreFiles(create.notes, zip);
+
+  // notes without their file would only fail indexing
+  const missing = new Set(
+    [...plan.files.missing, ...files.failed].map((m) => m.fileKey)
+  );
+  const noteIds = create.notes
+    .filter((n) => !missing.has(n.fileKey))
+    .map((n) => n._id);
+  if (noteIds.length) {
+    await queueContentIndex(noteIds);
+    await queueNotePreviews(noteIds);
+  }
+  return files;
+};
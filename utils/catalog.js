@@ -0,0 +1,131 @@
+// utils/catalog.js
+import mongoose from "mongoose";
+import Regulation from "../Models/Regulation.js";
+import Branch from "../Models/Branch.js";
+import Subject from "../Models/Subject.js";
+import { escapeRegex } from "./noteSearch.js";
+
+// ===== Catalog service =====
+// Creates/updates single regulations, branches and subjects, so their
+// validation and duplicate checks are the same no matter which route calls
+// it. Bulk imports (utils/curriculumImport.js, utils/backup.js) check a whole
+// file up front with the same rules and helpers, then insert it in one
+// transaction instead. Each save resolves to { doc } or { status, error }.
+
+const fail = (status, error) => ({ status, error });
+
+export const isPositiveInt = (value) =>
+  Number.isInteger(Number(value)) && Number(value) > 0;
+
+export const sameText = (value) => new RegExp(`^${escapeRegex(value)}$`, "i");
+
+// Copies the allowed fields from a request body onto the document
+const assignFields = (doc, fields, body) => {
+  for (const field of fields)
+    if (body[field] !== undefined)
+      doc[field] =
+        typeof body[field] === "string" ? body[field].trim() : body[field];
+};
+
+// The duplicate checks run before saving; a unique index (subjects) still
+// catches a concurrent duplicate, and schema errors come back as a 400
+const saveDoc = async (doc, duplicateMessage) => {
+  try {
+    return { doc: await doc.save() };
+  } catch (err) {
+    if (err.code === 11000) return fail(400, duplicateMessage);
+    if (err.name === "ValidationError" || err.name === "CastError")
+      return fail(400, err.message);
+    throw err;
+  }
+};
+
+// Records in the recycle bin count as duplicates too, so restoring them
+// later can't collide. Resolves to a failure or null.
+const checkDuplicate = async (Model, filter, message) => {
+  const duplicate = await Model.findOne(filter, "deletedAt").setOptions({
+    withDeleted: true,
+  });
+  if (!duplicate) return null;
+  return fail(
+    400,
+    duplicate.deletedAt ? `${message} (in the recycle bin)` : message
+  );
+};
+
+const findRef = async (Model, id) =>
+  mongoose.Types.ObjectId.isValid(id) ? Model.findById(id) : null;
+
+export const saveRegulation = async (body, existing = null) => {
+  const regulation = existing || new Regulation();
+  assignFields(regulation, ["name", "numberOfSemesters"], body);
+
+  const { name, numberOfSemesters } = regulation;
+  if (!name || !numberOfSemesters)
+    return fail(400, "Name and numberOfSemesters required");
+  if (!isPositiveInt(numberOfSemesters))
+    return fail(400, "numberOfSemesters must be a positive integer");
+
+  const duplicateMessage = "Regulation already exists";
+  const duplicate = await checkDuplicate(
+    Regulation,
+    { name: sameText(name), _id: { $ne: regulation._id } },
+    duplicateMessage
+  );
+  if (duplicate) return duplicate;
+
+  return saveDoc(regulation, duplicateMessage);
+};
+
+export const saveBranch = async (body, existing = null) => {
+  const branch = existing || new Branch();
+  assignFields(branch, ["name", "code", "regulation"], body);
+
+  const { name, code, regulation } = branch;
+  if (!name || !code || !regulation)
+    return fail(400, "Name, code and regulation required");
+  if (!(await findRef(Regulation, regulation)))
+    return fail(400, "Regulation not found");
+
+  const duplicateMessage = "Branch code already exists for this regulation";
+  const duplicate = await checkDuplicate(
+    Branch,
+    { regulation, code: sameText(code), _id: { $ne: branch._id } },
+    duplicateMessage
+  );
+  if (duplicate) return duplicate;
+
+  return saveDoc(branch, duplicateMessage);
+};
+
+export const saveSubject = async (body, existing = null) => {
+  const subject = existing || new Subject();
+  assignFields(subject, ["name", "code", "branch", "semester"], body);
+
+  const { name, code, branch, semester } = subject;
+  if (!name || !code || !branch || !semester)
+    return fail(400, "Name, code, branch and semester required");
+
+  const parent = await findRef(Branch, branch);
+  if (!parent) return fail(400, "Branch not found");
+  const regulation = await Regulation.findById(parent.regulation);
+  if (
+    !isPositiveInt(semester) ||
+    (regulation && semester > regulation.numberOfSemesters)
+  )
+    return fail(
+      400,
+      `semester must be between 1 and ${regulation?.numberOfSemesters || "N"}`
+    );
+
+  const duplicateMessage =
+    "Subject code already exists for this branch and semester";
+  const duplicate = await checkDuplicate(
+    Subject,
+    { branch, semester, code: sameText(code), _id: { $ne: subject._id } },
+    duplicateMessage
+  );
+  if (duplicate) return duplicate;
+
+  return saveDoc(subject, duplicateMessage);
+};
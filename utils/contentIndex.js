@@ -0,0 +1,169 @@
+// utils/contentIndex.js
+import path from "path";
+import Note from "../Models/Note.js";
+import NotePage from "../Models/NotePage.js";
+import { getObjectInfo } from "./s3.js";
+import { readObjectBuffer, extractPdfPages } from "./pdf.js";
+import { MAX_UPLOAD_BYTES } from "./uploads.js";
+
+// ===== Extraction queue =====
+// New notes start with contentIndex.status "pending"; this picks them up one
+// at a time, stores one NotePage per PDF page and records the outcome.
+
+const isPdf = (fileKey, contentType) =>
+  String(contentType || "").startsWith("application/pdf") ||
+  path.extname(fileKey).toLowerCase() === ".pdf";
+
+// Only the index state is written, the note may have changed (or been
+// purged) while its file was being read
+const setContentIndex = (note, contentIndex) =>
+  Note.updateOne({ _id: note._id }, { contentIndex });
+
+const noteStillExists = (note) =>
+  Note.exists({ _id: note._id }).setOptions({ withDeleted: true });
+
+const indexNote = async (note) => {
+  try {
+    const info = await getObjectInfo(note.fileKey);
+    if (!info) throw new Error("File not found in storage");
+    if (!isPdf(note.fileKey, info.contentType) || info.size > MAX_UPLOAD_BYTES)
+      return await setContentIndex(note, { status: "unsupported" });
+
+    const pages = await extractPdfPages(await readObjectBuffer(note.fileKey));
+    if (!(await noteStillExists(note))) return;
+    await NotePage.deleteMany({ note: note._id });
+    await NotePage.insertMany(
+      pages.map((p) => ({ note: note._id, page: p.page, text: p.text }))
+    );
+
+    const { matchedCount } = await setContentIndex(note, {
+      status: "indexed",
+      pages: pages.length,
+      indexedAt: new Date(),
+    });
+    // purged in the meantime
+    if (!matchedCount) await NotePage.deleteMany({ note: note._id });
+  } catch (err) {
+    console.error(`Text extraction failed for note ${note._id}:`, err);
+    try {
+      await setContentIndex(note, { status: "failed", error: err.message });
+    } catch (saveErr) {
+      console.error(`Could not mark note ${note._id} as failed:`, saveErr);
+    }
+  }
+};
+
+let processing = false;
+export const processContentIndexQueue = async () => {
+  if (processing) return;
+  processing = true;
+  try {
+    let note;
+    while (
+      (note = await Note.findOneAndUpdate(
+        { "contentIndex.status": "pending" },
+        { "contentIndex.status": "indexing" },
+        { sort: { createdAt: 1 }, new: true }
+      ))
+    ) {
+      await indexNote(note);
+    }
+  } catch (err) {
+    console.error("Content index queue error:", err);
+  } finally {
+    processing = false;
+  }
+};
+
+// Re-extract the given notes (e.g. after their file changed)
+export const queueContentIndex = async (noteIds) => {
+  await Note.updateMany(
+    { _id: { $in: noteIds } },
+    { contentIndex: { status: "pending" } }
+  );
+  processContentIndexQueue();
+};
+
+export const startContentIndexing = async () => {
+  // Notes from before indexing existed, and ones interrupted by a restart
+  await Note.updateMany(
+    {
+      $or: [
+        { contentIndex: { $exists: false } },
+        { "contentIndex.status": "indexing" },
+      ],
+    },
+    { contentIndex: { status: "pending" } }
+  );
+  processContentIndexQueue();
+};
+
+// ===== Content search =====
+
+const SNIPPET_RADIUS = 80;
+const MAX_MATCHED_NOTES = 1000;
+const MAX_PAGES_PER_NOTE = 3;
+
+const searchTerms = (q) =>
+  String(q)
+    .toLowerCase()
+    .split(/\s+/)
+    .map((t) => t.replace(/^"+|"+$/g, ""))
+    .filter((t) => t.length > 1);
+
+/**
+ * Text around the first matching term of a page, plus the [start, end)
+ * offsets of every term occurrence inside the snippet for highlighting.
+ */
+export const buildSnippet = (text, q) => {
+  const terms = searchTerms(q);
+  const lower = text.toLowerCase();
+  const first = Math.min(
+    ...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0)
+  );
+  const center = Number.isFinite(first) ? first : 0;
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(text.length, center + SNIPPET_RADIUS);
+
+  const snippet =
+    (start > 0 ? "…" : "") +
+    text.slice(start, end).replace(/\s+/g, " ") +
+    (end < text.length ? "…" : "");
+
+  const highlights = [];
+  const snippetLower = snippet.toLowerCase();
+  for (const term of terms) {
+    for (
+      let i = snippetLower.indexOf(term);
+      i >= 0;
+      i = snippetLower.indexOf(term, i + term.length)
+    )
+      highlights.push([i, i + term.length]);
+  }
+  highlights.sort((a, b) => a[0] - b[0]);
+
+  return { snippet, highlights };
+};
+
+// Map of noteId -> [{ page, snippet, highlights }] best pages first
+export const findContentMatches = async (q) => {
+  const pages = await NotePage.find(
+    { $text: { $search: String(q) } },
+    { score: { $meta: "textScore" }, note: 1, page: 1, text: 1 }
+  )
+    .sort({ score: { $meta: "textScore" } })
+    .limit(MAX_MATCHED_NOTES * MAX_PAGES_PER_NOTE);
+
+  const matches = new Map();
+  for (const p of pages) {
+    const key = String(p.note);
+    if (!matches.has(key)) {
+      if (matches.size >= MAX_MATCHED_NOTES) continue;
+      matches.set(key, []);
+    }
+    const list = matches.get(key);
+    if (list.length < MAX_PAGES_PER_NOTE)
+      list.push({ page: p.page, ...buildSnippet(p.text, q) });
+  }
+  return matches;
+};
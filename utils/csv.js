@@ -0,0 +1,61 @@
+// utils/csv.js
+
+// ===== CSV parsing =====
+// Small RFC 4180 reader for admin imports: quoted cells, "" escapes,
+// newlines inside quotes, CRLF and a leading BOM.
+
+const splitRecords = (text) => {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (quoted) return { error: "Unterminated quoted cell" };
+  if (cell || record.length) records.push([...record, cell]);
+  return { records };
+};
+
+/**
+ * Parses CSV text with a header row. Header names are trimmed and
+ * lowercased; blank lines are skipped. Returns { rows } where each row is
+ * { row, values: { header: cell } } (row numbers count the header as 1),
+ * or { error }.
+ */
+export const parseCsv = (text) => {
+  const { records, error } = splitRecords(String(text).replace(/^\uFEFF/, ""));
+  if (error) return { error };
+  if (!records.length) return { error: "The CSV is empty" };
+
+  const header = records[0].map((h) => h.trim().toLowerCase());
+  const rows = [];
+  records.slice(1).forEach((cells, i) => {
+    if (cells.every((c) => !c.trim())) return;
+    rows.push({
+      row: i + 2,
+      values: Object.fromEntries(
+        header.map((h, col) => [h, (cells[col] || "").trim()])
+      ),
+    });
+  });
+  return { header, rows };
+};
@@ -0,0 +1,369 @@
+// utils/curriculumImport.js
+import mongoose from "mongoose";
+import Regulation from "../Models/Regulation.js";
+import Branch from "../Models/Branch.js";
+import Subject from "../Models/Subject.js";
+import { isPositiveInt, sameText } from "./catalog.js";
+import { parseCsv } from "./csv.js";
+import { authorize } from "./permissions.js";
+
+// ===== Curriculum import =====
+// One regulation with its branches, semesters and subjects, as JSON:
+//   { regulation: { name, numberOfSemesters },
+//     branches: [{ name, code,
+//                  semesters: [{ semester, subjects: [{ name, code }] }] }] }
+// or as CSV, one subject per row:
+//   regulation,numberOfSemesters,branchCode,branchName,semester,subjectCode,subjectName
+// An existing regulation / branch (same name / code) is extended; subjects
+// must all be new. The same rules as utils/catalog.js apply. Nothing is
+// written unless the whole curriculum is valid, and then in one transaction.
+
+export const CURRICULUM_CSV_HEADER = [
+  "regulation",
+  "numberofsemesters",
+  "branchcode",
+  "branchname",
+  "semester",
+  "subjectcode",
+  "subjectname",
+];
+
+const withDeleted = { withDeleted: true };
+const text = (value) => (value == null ? "" : String(value).trim());
+const key = (value) => text(value).toLowerCase();
+// entries of a JSON array, {} for null items
+const list = (value) =>
+  Array.isArray(value) ? value.map((item) => item || {}) : [];
+
+// CSV rows -> the JSON shape, keeping row numbers as `at` for the report
+export const curriculumFromCsv = (csvText) => {
+  const { header, rows, error } = parseCsv(csvText);
+  if (error) return { error };
+  const missing = CURRICULUM_CSV_HEADER.filter((h) => !header.includes(h));
+  if (missing.length)
+    return { error: `CSV is missing columns: ${missing.join(", ")}` };
+  if (!rows.length) return { error: "The CSV has no subjects" };
+
+  const first = rows[0].values;
+  const curriculum = {
+    regulation: {
+      name: first.regulation,
+      numberOfSemesters: first.numberofsemesters,
+    },
+    branches: [],
+  };
+  const errors = [];
+  const branches = new Map();
+
+  for (const { row, values } of rows) {
+    const at = `row ${row}`;
+    if (key(values.regulation) !== key(first.regulation))
+      errors.push({ at, message: "All rows must belong to one regulation" });
+
+    let branch = branches.get(key(values.branchcode));
+    if (!branch) {
+      branch = {
+        name: values.branchname,
+        code: values.branchcode,
+        at,
+        semesters: new Map(),
+      };
+      branches.set(key(values.branchcode), branch);
+    } else if (values.branchname && key(values.branchname) !== key(branch.name))
+      errors.push({
+        at,
+        message: `Branch ${values.branchcode} has another name on ${branch.at}`,
+      });
+
+    const semester = branch.semesters.get(values.semester) || {
+      semester: values.semester,
+      at,
+      subjects: [],
+    };
+    semester.subjects.push({
+      name: values.subjectname,
+      code: values.subjectcode,
+      at,
+    });
+    branch.semesters.set(values.semester, semester);
+  }
+
+  curriculum.branches = [...branches.values()].map((b) => ({
+    ...b,
+    semesters: [...b.semesters.values()],
+  }));
+  return { curriculum, errors };
+};
+
+/**
+ * Validates a curriculum against itself and the database and works out
+ * what would be created. Resolves to a plan:
+ *   { regulation, branches, errors, duplicates, denied }
+ * where errors / duplicates are [{ at, message }] and denied is the first
+ * permission decision that failed (or null).
+ */
+export const planCurriculumImport = async (req, curriculum = {}) => {
+  const errors = [];
+  const duplicates = [];
+  const fail = (at, message) => errors.push({ at, message });
+
+  // ----- regulation -----
+  const regulationName = text(curriculum.regulation?.name);
+  let numberOfSemesters = curriculum.regulation?.numberOfSemesters;
+  if (!regulationName) fail("regulation", "Regulation name required");
+
+  const existingRegulation = regulationName
+    ? await Regulation.findOne({ name: sameText(regulationName) }).setOptions(
+        withDeleted
+      )
+    : null;
+  if (existingRegulation?.deletedAt)
+    fail("regulation", "Regulation already exists (in the recycle bin)");
+  if (existingRegulation) {
+    if (
+      numberOfSemesters &&
+      Number(numberOfSemesters) !== existingRegulation.numberOfSemesters
+    )
+      fail(
+        "regulation",
+        `numberOfSemesters does not match the existing regulation (${existingRegulation.numberOfSemesters})`
+      );
+    numberOfSemesters = existingRegulation.numberOfSemesters;
+  } else if (!isPositiveInt(numberOfSemesters))
+    fail("regulation", "numberOfSemesters must be a positive integer");
+
+  const regulation = {
+    name: existingRegulation?.name || regulationName,
+    numberOfSemesters: Number(numberOfSemesters),
+    existing: existingRegulation,
+  };
+
+  // Same permissions as the single create routes: new regulations need a
+  // super admin, new branches the regulation, new subjects the branch
+  let denied = null;
+  const check = (decision) => {
+    if (!denied && !decision.allowed) denied = decision;
+  };
+  if (!existingRegulation) check(await authorize.superAdmin(req));
+
+  // ----- branches and subjects -----
+  if (!list(curriculum.branches).length)
+    fail("branches", "At least one branch is required");
+
+  const branches = [];
+  const seenBranches = new Set();
+  for (const [b, input] of list(curriculum.branches).entries()) {
+    const at = input.at || `branches[${b}]`;
+    const name = text(input.name);
+    const code = text(input.code);
+    if (!code) fail(at, "Branch code required");
+    if (seenBranches.has(key(code)))
+      duplicates.push({ at, message: `Branch ${code} appears twice` });
+    seenBranches.add(key(code));
+
+    const existing =
+      existingRegulation && code
+        ? await Branch.findOne({
+            regulation: existingRegulation._id,
+            code: sameText(code),
+          }).setOptions(withDeleted)
+        : null;
+    if (existing?.deletedAt)
+      fail(at, `Branch ${code} already exists (in the recycle bin)`);
+    else if (existing) check(await authorize.branch(req, existing._id));
+    else {
+      if (code && !name) fail(at, `Branch name required to create ${code}`);
+      if (existingRegulation)
+        check(await authorize.regulation(req, existingRegulation._id));
+    }
+
+    const subjects = [];
+    const seenSubjects = new Set();
+    for (const [s, semesterInput] of list(input.semesters).entries()) {
+      const semesterAt = semesterInput.at || `${at}.semesters[${s}]`;
+      const semester = Number(semesterInput.semester);
+      if (
+        !isPositiveInt(semester) ||
+        (regulation.numberOfSemesters &&
+          semester > regulation.numberOfSemesters)
+      ) {
+        fail(
+          semesterAt,
+          `semester must be between 1 and ${
+            regulation.numberOfSemesters || "N"
+          }`
+        );
+        continue;
+      }
+
+      for (const [i, subject] of list(semesterInput.subjects).entries()) {
+        const subjectAt = subject.at || `${semesterAt}.subjects[${i}]`;
+        const subjectName = text(subject.name);
+        const subjectCode = text(subject.code);
+        if (!subjectName || !subjectCode) {
+          fail(subjectAt, "Subject name and code required");
+          continue;
+        }
+        // the code/branch/semester unique index
+        const indexKey = `${semester}:${key(subjectCode)}`;
+        if (seenSubjects.has(indexKey)) {
+          duplicates.push({
+            at: subjectAt,
+            message: `Subject ${subjectCode} appears twice in ${code} semester ${semester}`,
+          });
+          continue;
+        }
+        seenSubjects.add(indexKey);
+        subjects.push({
+          name: subjectName,
+          code: subjectCode,
+          semester,
+          at: subjectAt,
+        });
+      }
+    }
+
+    if (existing && subjects.length) {
+      const taken = await Subject.find(
+        {
+          branch: existing._id,
+          $or: subjects.map((s) => ({
+            semester: s.semester,
+            code: sameText(s.code),
+          })),
+        },
+        "code semester deletedAt"
+      ).setOptions(withDeleted);
+      for (const t of taken) {
+        const subject = subjects.find(
+          (s) => s.semester === t.semester && key(s.code) === key(t.code)
+        );
+        duplicates.push({
+          at: subject.at,
+          message: `Subject ${t.code} already exists for ${code} semester ${
+            t.semester
+          }${t.deletedAt ? " (in the recycle bin)" : ""}`,
+        });
+      }
+    }
+
+    branches.push({ name, code, existing, subjects });
+  }
+
+  return { regulation, branches, errors, duplicates, denied };
+};
+
+// What a plan does, for the dry-run / apply response
+export const curriculumReport = (plan) => ({
+  valid: !plan.errors.length && !plan.duplicates.length,
+  regulation: {
+    name: plan.regulation.name,
+    action: plan.regulation.existing ? "existing" : "create",
+  },
+  branches: plan.branches.map((b) => ({
+    code: b.code,
+    name: b.existing?.name || b.name,
+    action: b.existing ? "existing" : "create",
+    subjects: b.subjects.length,
+  })),
+  counts: {
+    branches: plan.branches.filter((b) => !b.existing).length,
+    subjects: plan.branches.reduce((n, b) => n + b.subjects.length, 0),
+  },
+  errors: plan.errors,
+  duplicates: plan.duplicates,
+});
+
+/**
+ * Writes a valid plan in one transaction. Resolves to { regulation } (the
+ * regulation document) or { status, error } when a concurrent write got
+ * there first.
+ */
+export const applyCurriculumImport = async (plan) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const regulation =
+      plan.regulation.existing ||
+      (
+        await Regulation.create(
+          [
+            {
+              name: plan.regulation.name,
+              numberOfSemesters: plan.regulation.numberOfSemesters,
+            },
+          ],
+          { session }
+        )
+      )[0];
+
+    for (const branch of plan.branches) {
+      const doc =
+        branch.existing ||
+        (
+          await Branch.create(
+            [
+              {
+                name: branch.name,
+                code: branch.code,
+                regulation: regulation._id,
+              },
+            ],
+            { session }
+          )
+        )[0];
+      if (branch.subjects.length)
+        await Subject.insertMany(
+          branch.subjects.map((s) => ({
+            name: s.name,
+            code: s.code,
+            semester: s.semester,
+            branch: doc._id,
+          })),
+          { session }
+        );
+    }
+
+    await session.commitTransaction();
+    return { regulation };
+  } catch (err) {
+    await session.abortTransaction();
+    if (err.code === 11000)
+      return {
+        status: 409,
+        error:
+          "The catalog changed while importing (a regulation, branch or subject was created), run the import again",
+      };
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+// JSON input has to be an object (null, arrays and numbers parse too)
+const fromJson = (curriculum) =>
+  curriculum && typeof curriculum === "object" && !Array.isArray(curriculum)
+    ? { curriculum, errors: [] }
+    : { error: "The curriculum must be a JSON object" };
+
+// The curriculum of a request: multipart "file" (.json or .csv), a "csv"
+// text field, or the JSON body itself. Returns { curriculum, errors } or
+// { error }.
+export const curriculumFromRequest = (req) => {
+  if (req.file) {
+    const content = req.file.buffer.toString("utf8");
+    if (
+      /\.json$/i.test(req.file.originalname) ||
+      req.file.mimetype === "application/json"
+    ) {
+      try {
+        return fromJson(JSON.parse(content));
+      } catch {
+        return { error: "The file is not valid JSON" };
+      }
+    }
+    return curriculumFromCsv(content);
+  }
+  if (typeof req.body?.csv === "string") return curriculumFromCsv(req.body.csv);
+  return fromJson(req.body || {});
+};
@@ -0,0 +1,134 @@
+// utils/exportJobs.js
+import { PassThrough } from "stream";
+import ExportJob from "../Models/ExportJob.js";
+import Note from "../Models/Note.js";
+import { uploadStream, deleteS3Object } from "./s3.js";
+import { streamNotesArchive } from "./zipExport.js";
+import { PUBLIC_NOTE_FILTER } from "./moderation.js";
+
+// ===== Config (.env) =====
+export const EXPORT_JOB_TTL_HOURS = Number(
+  process.env.EXPORT_JOB_TTL_HOURS || 24
+);
+export const EXPORT_JOB_MAX_NOTES = Number(
+  process.env.EXPORT_JOB_MAX_NOTES || 2000
+);
+const SWEEP_INTERVAL_MINUTES = Number(
+  process.env.EXPORT_JOB_SWEEP_INTERVAL_MINUTES || 30
+);
+
+// Mongo filter for the notes a job should contain (published ones only)
+export const noteFilterFor = (filter) => {
+  const query = { ...PUBLIC_NOTE_FILTER };
+  if (filter.regulation) query.regulation = filter.regulation;
+  if (filter.branch) query.branch = filter.branch;
+  if (filter.semester) query.semester = filter.semester;
+  if (filter.subject) query.subject = filter.subject;
+  return query;
+};
+
+const runJob = async (job) => {
+  try {
+    const notes = await Note.find(noteFilterFor(job.filter))
+      .populate("regulation", "name")
+      .populate("branch", "name")
+      .populate("subject", "name code")
+      .sort({ createdAt: -1 });
+
+    job.progress = { processed: 0, total: notes.length };
+    await job.save();
+
+    const fileKey = `exports/${job._id}.zip`;
+    const output = new PassThrough();
+    // If either side fails, destroying the pipe stops the other one too
+    // (the archive sees the output close, the upload sees the error)
+    const stopBothOnError = (promise) =>
+      promise.catch((err) => {
+        output.destroy(err);
+        throw err;
+      });
+    const [{ included, failed }] = await Promise.all([
+      stopBothOnError(
+        streamNotesArchive(notes, output, {
+          layout: job.layout,
+          onProgress: (processed, total) =>
+            ExportJob.updateOne(
+              { _id: job._id },
+              { progress: { processed, total } }
+            ),
+        })
+      ),
+      stopBothOnError(uploadStream(fileKey, output, "application/zip")),
+    ]);
+
+    job.set({
+      status: "completed",
+      fileKey,
+      includedNotes: included.map((entry) => entry.noteId),
+      failedFiles: failed,
+      progress: { processed: notes.length, total: notes.length },
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + EXPORT_JOB_TTL_HOURS * 60 * 60 * 1000),
+    });
+    await job.save();
+  } catch (err) {
+    console.error(`Export job ${job._id} failed:`, err);
+    job.set({ status: "failed", error: err.message, completedAt: new Date() });
+    await job.save();
+  }
+};
+
+// Jobs run one at a time in this process. Claiming with findOneAndUpdate
+// keeps two server instances from picking up the same job.
+let processing = false;
+export const processExportQueue = async () => {
+  if (processing) return;
+  processing = true;
+  try {
+    let job;
+    while (
+      (job = await ExportJob.findOneAndUpdate(
+        { status: "queued" },
+        { status: "running", startedAt: new Date() },
+        { sort: { createdAt: 1 }, new: true }
+      ))
+    ) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error("Export queue error:", err);
+  } finally {
+    processing = false;
+  }
+};
+
+// Deletes finished archives past their expiry
+export const expireExportJobs = async () => {
+  const expired = await ExportJob.find({
+    status: "completed",
+    expiresAt: { $lt: new Date() },
+  });
+  for (const job of expired) {
+    try {
+      if (job.fileKey) await deleteS3Object(job.fileKey);
+      job.set({ status: "expired", fileKey: undefined });
+      await job.save();
+    } catch (err) {
+      console.error(`Could not expire export job ${job._id}:`, err);
+    }
+  }
+  return expired.length;
+};
+
+export const startExportJobs = async () => {
+  // A restart interrupts whatever was running; run it again from scratch
+  await ExportJob.updateMany({ status: "running" }, { status: "queued" });
+  processExportQueue();
+
+  const sweep = () =>
+    expireExportJobs().catch((err) =>
+      console.error("Export expiry error:", err)
+    );
+  sweep();
+  return setInterval(sweep, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+};
@@ -0,0 +1,237 @@
+// utils/facultyInvitations.js
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import Faculty from "../Models/Faculty.js";
+import { sameText } from "./catalog.js";
+import { parseCsv } from "./csv.js";
+import { validateIdentifier } from "./idRules.js";
+import { escapeHtml, sendMail } from "./mailer.js";
+
+// ===== Faculty invitations =====
+// Admins import faculty from a CSV (name,email,employeeId,designation).
+// Each new row becomes a "pending" Faculty without a password and gets a
+// one-time link to set one, mailed from a background queue so big files
+// don't hold the request open. Only the token's hash is stored; links
+// expire after INVITATION_TTL_HOURS and can be re-sent, which replaces the
+// token.
+
+export const INVITATION_TTL_HOURS = Number(
+  process.env.INVITATION_TTL_HOURS || 72
+);
+export const FACULTY_CSV_HEADER = [
+  "name",
+  "email",
+  "employeeid",
+  "designation",
+];
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Creates a fresh invitation link for a pending faculty member and mails
+ * it. Resolves to { sent, expiresAt }.
+ */
+export const sendInvitation = async (faculty) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  faculty.invitationTokenHash = hashToken(token);
+  faculty.invitation = {
+    status: "sending",
+    sentAt: new Date(),
+    expiresAt,
+    sendCount: (faculty.invitation?.sendCount || 0) + 1,
+  };
+  await faculty.save();
+
+  const link = `${process.env.FRONTEND_URL}/accept-invitation/${token}`;
+  const name = escapeHtml(faculty.name);
+  const employeeId = escapeHtml(faculty.employeeId);
+  const sent = await sendMail({
+    to: faculty.email,
+    subject: "You are invited to Kithab",
+    html: `<p>Hi ${name},</p>
+           <p>An account was created for you (Employee ID ${employeeId}).
+           Set your password here (expires in ${INVITATION_TTL_HOURS} hours):</p>
+           <a href="${link}">Accept invitation</a>`,
+  });
+  faculty.invitation.status = sent ? "sent" : "failed";
+  await faculty.save();
+  return { sent, expiresAt };
+};
+
+// ===== Invitation queue (same shape as utils/contentIndex.js) =====
+
+let processing = false;
+export const processInvitationQueue = async () => {
+  if (processing) return;
+  processing = true;
+  try {
+    let faculty;
+    while (
+      (faculty = await Faculty.findOneAndUpdate(
+        { status: "pending", "invitation.status": "queued" },
+        { "invitation.status": "sending" },
+        { sort: { createdAt: 1 }, new: true }
+      ))
+    ) {
+      try {
+        await sendInvitation(faculty);
+      } catch (err) {
+        // e.g. deleted meanwhile; keep going with the rest
+        console.error(`Invitation for faculty ${faculty._id} failed:`, err);
+        await Faculty.updateOne(
+          { _id: faculty._id },
+          { "invitation.status": "failed" }
+        );
+      }
+    }
+  } catch (err) {
+    console.error("Invitation queue error:", err);
+  } finally {
+    processing = false;
+  }
+};
+
+export const startFacultyInvitations = async () => {
+  // Ones interrupted by a restart
+  await Faculty.updateMany(
+    { status: "pending", "invitation.status": "sending" },
+    { "invitation.status": "queued" }
+  );
+  processInvitationQueue();
+};
+
+// The pending faculty member a link belongs to, or { error }
+export const findInvitation = async (token) => {
+  const faculty = await Faculty.findOne({
+    invitationTokenHash: hashToken(String(token)),
+    status: "pending",
+  });
+  if (!faculty) return { error: "Invalid invitation link" };
+  if (faculty.invitation?.expiresAt < new Date())
+    return { error: "This invitation has expired, ask an admin to resend it" };
+  return { faculty };
+};
+
+/**
+ * Sets the password of an invited faculty member and activates the
+ * account; the link can't be used again. Resolves to { faculty } or
+ * { error }.
+ */
+export const acceptInvitation = async (token, password) => {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH)
+    return {
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    };
+  const { faculty, error } = await findInvitation(token);
+  if (error) return { error };
+
+  faculty.password = await bcrypt.hash(String(password), 10);
+  faculty.status = "active";
+  faculty.invitationTokenHash = undefined;
+  faculty.invitation.acceptedAt = new Date();
+  await faculty.save();
+  return { faculty };
+};
+
+// Row checks that don't need other rows; resolves to an error or null
+const validateRow = async ({ name, email, employeeid, designation }) => {
+  if (!name || !email || !employeeid || !designation)
+    return "name, email, employeeId and designation are required";
+  if (!EMAIL.test(email)) return "Invalid email";
+  return validateIdentifier("faculty", employeeid);
+};
+
+/**
+ * Imports faculty from CSV text. Every row ends up in the report as
+ * created (invitation queued), skipped (already has an account or repeats
+ * an earlier row) or invalid. Resolves to { report, summary } or { error }
+ * when the file itself can't be read.
+ */
+export const importFacultyCsv = async (csvText) => {
+  const { header, rows, error } = parseCsv(csvText);
+  if (error) return { error };
+  const missing = FACULTY_CSV_HEADER.filter((h) => !header.includes(h));
+  if (missing.length)
+    return { error: `CSV is missing columns: ${missing.join(", ")}` };
+  if (!rows.length) return { error: "The CSV has no faculty" };
+
+  const report = [];
+  const seen = { emails: new Set(), employeeIds: new Set() };
+  for (const { row, values } of rows) {
+    const email = values.email.toLowerCase();
+    const employeeId = values.employeeid;
+    const entry = { row, name: values.name, email, employeeId };
+
+    const invalid = await validateRow({ ...values, email });
+    if (invalid) {
+      report.push({ ...entry, status: "invalid", reason: invalid });
+      continue;
+    }
+    if (seen.emails.has(email) || seen.employeeIds.has(employeeId)) {
+      report.push({
+        ...entry,
+        status: "skipped",
+        reason: "Repeats an earlier row",
+      });
+      continue;
+    }
+    seen.emails.add(email);
+    seen.employeeIds.add(employeeId);
+
+    const existing = await Faculty.findOne({
+      $or: [{ email: sameText(email) }, { employeeId }],
+    });
+    if (existing) {
+      report.push({
+        ...entry,
+        status: "skipped",
+        reason:
+          existing.employeeId === employeeId
+            ? "Employee ID already exists"
+            : "Email already exists",
+        facultyId: existing._id,
+      });
+      continue;
+    }
+
+    try {
+      const faculty = await Faculty.create({
+        name: values.name,
+        email,
+        employeeId,
+        designation: values.designation,
+        status: "pending",
+        invitation: { status: "queued" },
+      });
+      report.push({ ...entry, status: "created", facultyId: faculty._id });
+    } catch (err) {
+      // created by someone else since the check above
+      if (err.code !== 11000) throw err;
+      report.push({
+        ...entry,
+        status: "skipped",
+        reason: "Email or Employee ID already exists",
+      });
+    }
+  }
+
+  // invitations go out in the background, see GET /faculty for their status
+  processInvitationQueue();
+
+  const count = (status) => report.filter((r) => r.status === status).length;
+  return {
+    report,
+    summary: {
+      rows: report.length,
+      created: count("created"),
+      skipped: count("skipped"),
+      invalid: count("invalid"),
+    },
+  };
+};
@@ -0,0 +1,62 @@
+// utils/idRules.js
+import IdRule from "../Models/IdRule.js";
+
+// Used while no rule exists for a role yet, so existing deployments keep
+// the checks they had before rules moved to the database
+const DEFAULT_RULES = {
+  student: [{ pattern: "^(22ME|23ME|24ME|25ME)", length: 10 }],
+  faculty: [{ pattern: "^RCEEME", length: 10 }],
+};
+
+const ID_LABELS = { student: "Roll Number", faculty: "Employee ID" };
+
+// Returns an error message for rule fields, or null when they're valid
+export const validateRuleFields = ({ role, pattern, length }) => {
+  if (!ID_LABELS[role]) return "role must be student or faculty";
+  if (!pattern) return "pattern is required";
+  try {
+    new RegExp(pattern);
+  } catch {
+    return "pattern is not a valid regular expression";
+  }
+  if (length != null && (!Number.isInteger(Number(length)) || length < 1))
+    return "length must be a positive integer";
+  return null;
+};
+
+const matchesRule = (rule, value) =>
+  new RegExp(rule.pattern).test(value) &&
+  (!rule.length || value.length === rule.length);
+
+// Roll numbers start with the two-digit admission year (22ME... -> 2022)
+export const admissionYearOf = (rollNumber) => {
+  const match = /^(\d{2})/.exec(String(rollNumber || ""));
+  return match ? 2000 + Number(match[1]) : null;
+};
+
+/**
+ * Checks a roll number / employee ID against the active rules of a role.
+ * `branch` narrows student rules to the ones for that branch code, and the
+ * admission year in the roll number to the ones for that year.
+ * Resolves to null when valid, or an error message.
+ */
+export const validateIdentifier = async (role, value, { branch } = {}) => {
+  const label = ID_LABELS[role];
+  if (!value || typeof value !== "string") return `${label} is required`;
+
+  const year = role === "student" ? admissionYearOf(value) : null;
+  const rules = await IdRule.find({ active: true, role });
+  const candidates = rules.length
+    ? rules.filter(
+        (r) =>
+          (!r.branch ||
+            !branch ||
+            r.branch.toLowerCase() === String(branch).toLowerCase()) &&
+          (!r.admissionYear || !year || r.admissionYear === year)
+      )
+    : DEFAULT_RULES[role];
+
+  return candidates.some((rule) => matchesRule(rule, value))
+    ? null
+    : `Invalid ${label}`;
+};
@@ -0,0 +1,59 @@
+// utils/mailer.js
+import nodemailer from "nodemailer";
+
+// ===== Outgoing mail =====
+// SMTP settings come from SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER /
+// SMTP_PASS. Without SMTP_HOST nothing is sent; only the recipient and
+// subject are logged, never the body (it may hold one-time links).
+
+let transporter;
+const getTransporter = () => {
+  if (!process.env.SMTP_HOST) return null;
+  transporter =
+    transporter ||
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT),
+      secure: process.env.SMTP_SECURE === "true", // true if using SSL/TLS
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    });
+  return transporter;
+};
+
+// For user-provided text inside message HTML
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (ch) => HTML_ENTITIES[ch]);
+
+/**
+ * Sends one message. Resolves to true when it was handed to SMTP, false
+ * when SMTP is not configured or sending failed. Never throws.
+ */
+export const sendMail = async ({ to, subject, html }) => {
+  const smtp = getTransporter();
+  if (!smtp) {
+    console.warn(`[Mail] SMTP not configured, not sent to ${to}: ${subject}`);
+    return false;
+  }
+  try {
+    await smtp.sendMail({
+      from: `"Kithab Support" <${process.env.SMTP_USER}>`,
+      to,
+      subject,
+      html,
+    });
+    return true;
+  } catch (err) {
+    console.error("[Mail] Sending failed:", to, err.message);
+    return false;
+  }
+};
@@ -0,0 +1,77 @@
+// utils/moderation.js
+import Note from "../Models/Note.js";
+import { authorize } from "./permissions.js";
+
+// ===== Moderation =====
+// draft -> pending -> approved / rejected. Faculty save notes as drafts or
+// straight into the review queue, admins approve or reject them, and only
+// approved notes show up in public listings, search and downloads.
+
+export const NOTE_STATUSES = ["draft", "pending", "approved", "rejected"];
+
+// Mongo filter for notes everyone may see: approved and not hidden by
+// student reports (utils/noteReports.js)
+export const PUBLIC_NOTE_FILTER = {
+  "moderation.status": "approved",
+  "reports.hiddenAt": null,
+};
+
+export const isPublicNote = (note) =>
+  note.moderation?.status === "approved" && !note.reports?.hiddenAt;
+
+// Public notes, or ones the user may manage (uploader, assigned faculty,
+// admins in scope)
+export const canViewNote = async (req, note) =>
+  isPublicNote(note) ||
+  (Boolean(req.user) && (await authorize.note(req, note)).allowed);
+
+const TRANSITIONS = {
+  submit: { from: ["draft", "rejected"], to: "pending" },
+  approve: { from: ["pending", "rejected"], to: "approved" },
+  reject: { from: ["pending", "approved"], to: "rejected" },
+};
+
+/**
+ * Moves a note to the next status and saves it. `by` is the reviewing
+ * admin for approve/reject; reject needs a reason.
+ * Resolves to { note } or { error }.
+ */
+export const applyModeration = async (note, action, { by, reason } = {}) => {
+  const transition = TRANSITIONS[action];
+  const current = note.moderation?.status || "approved";
+  if (!transition.from.includes(current))
+    return { error: `Cannot ${action} a note that is ${current}` };
+  if (action === "reject" && !String(reason || "").trim())
+    return { error: "A reason is required to reject a note" };
+
+  note.moderation = {
+    status: transition.to,
+    reason: action === "reject" ? String(reason).trim() : undefined,
+    submittedAt:
+      action === "submit" ? new Date() : note.moderation?.submittedAt,
+    reviewedBy: action === "submit" ? undefined : by,
+    reviewedAt: action === "submit" ? undefined : new Date(),
+  };
+  await note.save();
+  return { note };
+};
+
+// A changed file has to be reviewed again (new version, rollback). A note
+// has a single current file, so an approved note leaves public listings
+// until the change is approved: nobody sees an unreviewed file, at the cost
+// of the note being unavailable meanwhile. Keeping the approved version
+// public would need a second, public file key that downloads, search text
+// and previews follow instead of fileKey.
+export const resubmitAfterChange = (note) => {
+  if (note.moderation?.status !== "approved") return;
+  note.moderation = { status: "pending", submittedAt: new Date() };
+};
+
+export const startModeration = async () => {
+  // Notes from before moderation existed were already public. Run this
+  // before anything that saves notes (see Server.js).
+  await Note.updateMany(
+    { "moderation.status": { $exists: false } },
+    { $set: { "moderation.status": "approved" } }
+  );
+};
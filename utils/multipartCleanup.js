@@ -0,0 +1,41 @@
+// utils/multipartCleanup.js
+import MultipartUpload from "../Models/MultipartUpload.js";
+import { abortMultipartUpload } from "./s3.js";
+
+// Multipart uploads that were never completed or aborted keep their parts in
+// storage (and on the S3 bill) until they are aborted. This sweeps them.
+const STALE_HOURS = Number(process.env.MULTIPART_STALE_HOURS || 24);
+const INTERVAL_MINUTES = Number(
+  process.env.MULTIPART_CLEANUP_INTERVAL_MINUTES || 60
+);
+
+export const cleanupStaleMultipartUploads = async () => {
+  const cutoff = new Date(Date.now() - STALE_HOURS * 60 * 60 * 1000);
+  const stale = await MultipartUpload.find({ createdAt: { $lt: cutoff } });
+
+  let aborted = 0;
+  for (const upload of stale) {
+    try {
+      await abortMultipartUpload(upload.fileKey, upload.uploadId);
+    } catch (err) {
+      // Already gone on the storage side is fine, anything else retries later
+      if (err.code !== "NoSuchUpload") {
+        console.error("Multipart cleanup failed for", upload.uploadId, err);
+        continue;
+      }
+    }
+    await upload.deleteOne();
+    aborted++;
+  }
+  if (aborted) console.log(`Aborted ${aborted} stale multipart upload(s)`);
+  return aborted;
+};
+
+export const startMultipartCleanup = () => {
+  const run = () =>
+    cleanupStaleMultipartUploads().catch((err) =>
+      console.error("Multipart cleanup error:", err)
+    );
+  run();
+  return setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+};
@@ -0,0 +1,243 @@
+// utils/noteAnalytics.js
+import mongoose from "mongoose";
+import Note from "../Models/Note.js";
+import Subject from "../Models/Subject.js";
+import NoteAccess from "../Models/NoteAccess.js";
+import { PUBLIC_NOTE_FILTER } from "./moderation.js";
+import { populatePublicNote } from "./noteViews.js";
+
+// ===== Access analytics =====
+// Every route that hands out a file URL records one NoteAccess per note:
+// "view" when the URL comes with a listing (subject, search, my-uploads),
+// "download" for explicit downloads (ZIP, versions, admin file, export
+// jobs). The trending list itself records nothing, it would rank itself.
+// A viewer (user, or IP when anonymous) counts one view per note every
+// ANALYTICS_VIEW_WINDOW_MINUTES, so reloading a listing writes nothing.
+// Note.stats / Subject.stats keep lifetime counters, the events (kept
+// ANALYTICS_RETENTION_DAYS) feed trending and faculty stats. Uploaders
+// looking at their own notes are recorded but never counted.
+
+export const ANALYTICS_RETENTION_DAYS = Number(
+  process.env.ANALYTICS_RETENTION_DAYS || 90
+);
+const VIEW_WINDOW_MINUTES = Number(
+  process.env.ANALYTICS_VIEW_WINDOW_MINUTES || 30
+);
+const TRENDING_DAYS = 7;
+const MAX_TRENDING_LIMIT = 50;
+// A download says more about a note than a listing that showed it
+const DOWNLOAD_WEIGHT = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const idOf = (ref) => ref?._id || ref;
+
+// `${viewer}:${note}` -> until when further views are not recorded. Per
+// process and bounded, it only needs to absorb repeated listing loads.
+const recentViews = new Map();
+const MAX_RECENT_VIEWS = 100000;
+
+// The notes of a listing this viewer has not been counted for lately
+const newViews = (req, notes) => {
+  const now = Date.now();
+  if (recentViews.size >= MAX_RECENT_VIEWS)
+    for (const [key, until] of recentViews)
+      if (until <= now) recentViews.delete(key);
+  if (recentViews.size >= MAX_RECENT_VIEWS) recentViews.clear();
+
+  const viewer = req.user?.id || req.ip;
+  return notes.filter((note) => {
+    const key = `${viewer}:${note._id}`;
+    if (recentViews.get(key) > now) return false;
+    recentViews.set(key, now + VIEW_WINDOW_MINUTES * 60 * 1000);
+    return true;
+  });
+};
+
+/**
+ * Records access to one or more notes (populated or not). Never throws:
+ * analytics must not break a download.
+ */
+export const recordNoteAccess = async (req, notes, { kind, source }) => {
+  try {
+    let list = (Array.isArray(notes) ? notes : [notes]).filter(Boolean);
+    if (kind === "view") list = newViews(req, list);
+    if (!list.length) return;
+
+    const userId = req.user?.id;
+    const expiresAt = new Date(Date.now() + ANALYTICS_RETENTION_DAYS * DAY_MS);
+    const events = list.map((note) => ({
+      note: note._id,
+      subject: idOf(note.subject),
+      branch: idOf(note.branch),
+      regulation: idOf(note.regulation),
+      semester: note.semester,
+      uploadedBy: idOf(note.uploadedBy),
+      kind,
+      source,
+      user: userId,
+      userRole: req.user?.role || "anonymous",
+      own: Boolean(userId) && String(idOf(note.uploadedBy)) === String(userId),
+      expiresAt,
+    }));
+    await NoteAccess.insertMany(events, { ordered: false });
+
+    const counted = events.filter((e) => !e.own);
+    if (!counted.length) return;
+    const field = kind === "view" ? "stats.views" : "stats.downloads";
+    const now = new Date();
+
+    await Note.bulkWrite(
+      counted.map((e) => ({
+        updateOne: {
+          filter: { _id: e.note },
+          update: {
+            $inc: { [field]: 1 },
+            $set: { "stats.lastAccessedAt": now },
+          },
+        },
+      }))
+    );
+    const perSubject = new Map();
+    for (const e of counted) {
+      const key = String(e.subject);
+      perSubject.set(key, (perSubject.get(key) || 0) + 1);
+    }
+    await Subject.bulkWrite(
+      [...perSubject].map(([subject, count]) => ({
+        updateOne: {
+          filter: { _id: subject },
+          update: { $inc: { [field]: count } },
+        },
+      }))
+    );
+  } catch (err) {
+    console.error("Access analytics error:", err);
+  }
+};
+
+// views / downloads per group, from NoteAccess events
+const countKinds = {
+  views: { $sum: { $cond: [{ $eq: ["$kind", "view"] }, 1, 0] } },
+  downloads: { $sum: { $cond: [{ $eq: ["$kind", "download"] }, 1, 0] } },
+};
+
+/**
+ * Public notes accessed most over the last week, optionally for one
+ * ?branch= and/or ?semester=. Resolves to { notes: [{ note, views,
+ * downloads }] } (notes populated for publicNoteView) or { error }.
+ */
+export const trendingNotes = async ({ branch, semester, limit } = {}) => {
+  const size = Math.min(Math.max(Number(limit) || 10, 1), MAX_TRENDING_LIMIT);
+  const match = {
+    own: false,
+    createdAt: { $gte: new Date(Date.now() - TRENDING_DAYS * DAY_MS) },
+  };
+  if (branch) {
+    if (!mongoose.isValidObjectId(branch)) return { error: "Invalid branch" };
+    // aggregate does not cast ids
+    match.branch = new mongoose.Types.ObjectId(String(branch));
+  }
+  if (semester) match.semester = String(semester);
+
+  const ranked = await NoteAccess.aggregate([
+    { $match: match },
+    { $group: { _id: "$note", ...countKinds } },
+    {
+      $addFields: {
+        score: {
+          $add: ["$views", { $multiply: ["$downloads", DOWNLOAD_WEIGHT] }],
+        },
+      },
+    },
+    { $sort: { score: -1, downloads: -1 } },
+    // room for notes that were unpublished or deleted since
+    { $limit: size * 2 },
+  ]);
+  if (!ranked.length) return { notes: [] };
+
+  const notes = await populatePublicNote(
+    Note.find({ _id: { $in: ranked.map((r) => r._id) }, ...PUBLIC_NOTE_FILTER })
+  );
+  const byId = new Map(notes.map((n) => [String(n._id), n]));
+  return {
+    notes: ranked
+      .filter((r) => byId.has(String(r._id)))
+      .slice(0, size)
+      .map((r) => ({
+        note: byId.get(String(r._id)),
+        views: r.views,
+        downloads: r.downloads,
+      })),
+  };
+};
+
+/**
+ * Engagement on a faculty member's uploads: lifetime counters per note and
+ * subject, plus views / downloads over the last `days` (max the retention).
+ */
+export const facultyStats = async (facultyId, { days = 30 } = {}) => {
+  const window = Math.min(
+    Math.max(Number(days) || 30, 1),
+    ANALYTICS_RETENTION_DAYS
+  );
+  const [notes, recent] = await Promise.all([
+    Note.find({ uploadedBy: facultyId }, "title subject semester stats")
+      .populate("subject", "name code")
+      .sort({ createdAt: -1 }),
+    NoteAccess.aggregate([
+      {
+        $match: {
+          uploadedBy: new mongoose.Types.ObjectId(String(facultyId)),
+          own: false,
+          createdAt: { $gte: new Date(Date.now() - window * DAY_MS) },
+        },
+      },
+      { $group: { _id: "$note", ...countKinds } },
+    ]),
+  ]);
+  const recentById = new Map(recent.map((r) => [String(r._id), r]));
+
+  const totals = { views: 0, downloads: 0, recentViews: 0, recentDownloads: 0 };
+  const subjects = new Map();
+  const noteStats = notes.map((note) => {
+    const views = note.stats?.views || 0;
+    const downloads = note.stats?.downloads || 0;
+    const last = recentById.get(String(note._id));
+    totals.views += views;
+    totals.downloads += downloads;
+    totals.recentViews += last?.views || 0;
+    totals.recentDownloads += last?.downloads || 0;
+
+    const key = String(note.subject?._id || note.subject);
+    const subject = subjects.get(key) || {
+      subject: note.subject,
+      notes: 0,
+      views: 0,
+      downloads: 0,
+    };
+    subject.notes += 1;
+    subject.views += views;
+    subject.downloads += downloads;
+    subjects.set(key, subject);
+
+    return {
+      _id: note._id,
+      title: note.title,
+      subject: note.subject,
+      semester: note.semester,
+      views,
+      downloads,
+      recent: { views: last?.views || 0, downloads: last?.downloads || 0 },
+      lastAccessedAt: note.stats?.lastAccessedAt,
+    };
+  });
+
+  return {
+    days: window,
+    totals,
+    subjects: [...subjects.values()].sort(
+      (a, b) => b.downloads - a.downloads || b.views - a.views
+    ),
+    notes: noteStats,
+  };
+};
@@ -0,0 +1,46 @@
+// utils/noteCleanup.js
+import NotePage from "../Models/NotePage.js";
+import NoteReport from "../Models/NoteReport.js";
+import NoteAccess from "../Models/NoteAccess.js";
+import Student from "../Models/Student.js";
+import Faculty from "../Models/Faculty.js";
+import { deleteS3Object } from "./s3.js";
+
+// Deletes a note's files (every version) and everything generated from
+// them in storage
+export const deleteNoteFiles = async (note) => {
+  const keys = [
+    note.fileKey,
+    ...(note.versions || []).map((v) => v.fileKey),
+    note.previews?.thumbnailKey,
+    note.previews?.previewKey,
+  ].filter(Boolean);
+  await Promise.all([...new Set(keys)].map((key) => deleteS3Object(key)));
+};
+
+// Removes the data that hangs off notes which were just deleted. Call it
+// from every place that deletes Note documents (single and cascade deletes).
+export const cleanupDeletedNotes = async (noteIds, session = null) => {
+  if (!noteIds?.length) return;
+  await NotePage.deleteMany({ note: { $in: noteIds } }).session(session);
+  await NoteReport.deleteMany({ note: { $in: noteIds } }).session(session);
+  await NoteAccess.deleteMany({ note: { $in: noteIds } }).session(session);
+  await Faculty.updateMany(
+    { uploadedNotes: { $in: noteIds } },
+    { $pull: { uploadedNotes: { $in: noteIds } } }
+  ).session(session);
+  await Student.updateMany(
+    {
+      $or: [
+        { favoriteNotes: { $in: noteIds } },
+        { "collections.notes": { $in: noteIds } },
+      ],
+    },
+    {
+      $pull: {
+        favoriteNotes: { $in: noteIds },
+        "collections.$[].notes": { $in: noteIds },
+      },
+    }
+  ).session(session);
+};
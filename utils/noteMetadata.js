@@ -0,0 +1,125 @@
+// utils/noteMetadata.js
+
+// ===== Descriptive note fields =====
+// Set at save time (per file or for the whole batch), editable later with
+// PUT /api/notes/:id/metadata, and usable as listing filters.
+
+export const RESOURCE_TYPES = [
+  "lecture_notes",
+  "lab_manual",
+  "question_paper",
+  "assignment",
+];
+export const METADATA_FIELDS = [
+  "title",
+  "description",
+  "tags",
+  "unit",
+  "resourceType",
+  "academicYear",
+];
+const MAX_TAGS = 20;
+const MAX_UNIT = 20;
+
+// "2024-25" or "2024-2025", second year following the first
+const ACADEMIC_YEAR = /^(\d{4})-(\d{2}|\d{4})$/;
+export const parseAcademicYear = (value) => {
+  const match = ACADEMIC_YEAR.exec(String(value).trim());
+  if (!match) return null;
+  const start = Number(match[1]);
+  const end = Number(
+    match[2].length === 2 ? match[1].slice(0, 2) + match[2] : match[2]
+  );
+  return end === start + 1 ? `${start}-${String(end).slice(2)}` : null;
+};
+
+// "Unit 1, DBMS" or ["unit 1", "dbms"] -> ["unit 1", "dbms"]
+export const parseTags = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return [
+    ...new Set(
+      list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)
+    ),
+  ];
+};
+
+/**
+ * Validates the metadata fields present in `body` (others are left out).
+ * Returns { metadata } with normalized values, or { error }.
+ * Empty strings / null clear an optional field.
+ */
+export const validateNoteMetadata = (body = {}) => {
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+    const empty = value === null || value === "";
+
+    switch (field) {
+      case "title":
+        if (empty || !String(value).trim())
+          return { error: "title cannot be empty" };
+        metadata.title = String(value).trim();
+        break;
+      case "description":
+        metadata.description = empty ? undefined : String(value).trim();
+        break;
+      case "tags": {
+        const tags = empty ? [] : parseTags(value);
+        if (tags.length > MAX_TAGS)
+          return { error: `At most ${MAX_TAGS} tags are allowed` };
+        metadata.tags = tags;
+        break;
+      }
+      case "unit": {
+        const unit = Number(value);
+        if (!empty && (!Number.isInteger(unit) || unit < 1 || unit > MAX_UNIT))
+          return { error: `unit must be between 1 and ${MAX_UNIT}` };
+        metadata.unit = empty ? undefined : unit;
+        break;
+      }
+      case "resourceType":
+        if (!empty && !RESOURCE_TYPES.includes(value))
+          return {
+            error: `resourceType must be one of: ${RESOURCE_TYPES.join(", ")}`,
+          };
+        metadata.resourceType = empty ? undefined : value;
+        break;
+      case "academicYear": {
+        const year = empty ? undefined : parseAcademicYear(value);
+        if (!empty && !year)
+          return { error: "academicYear must look like 2024-25" };
+        metadata.academicYear = year;
+        break;
+      }
+    }
+  }
+  return { metadata };
+};
+
+/**
+ * Listing filters: ?tags=a,b (all of them) &unit= &resourceType=
+ * &academicYear=. Returns { filter } or { error }.
+ */
+export const buildMetadataFilter = (query = {}) => {
+  const { tags, unit, resourceType, academicYear } = query;
+  const filter = {};
+  if (tags) filter.tags = { $all: parseTags(tags) };
+  if (unit) {
+    if (!Number.isInteger(Number(unit))) return { error: "Invalid unit" };
+    filter.unit = Number(unit);
+  }
+  if (resourceType) {
+    if (!RESOURCE_TYPES.includes(resourceType))
+      return {
+        error: `resourceType must be one of: ${RESOURCE_TYPES.join(", ")}`,
+      };
+    filter.resourceType = resourceType;
+  }
+  if (academicYear) {
+    const year = parseAcademicYear(academicYear);
+    if (!year) return { error: "academicYear must look like 2024-25" };
+    filter.academicYear = year;
+  }
+  return { filter };
+};
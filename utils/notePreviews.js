@@ -0,0 +1,154 @@
+// utils/notePreviews.js
+import path from "path";
+import { Readable } from "stream";
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+import Note from "../Models/Note.js";
+import {
+  getObjectInfo,
+  getDownloadURL,
+  uploadStream,
+  deleteS3Object,
+} from "./s3.js";
+import { readObjectBuffer, renderPdfPage } from "./pdf.js";
+import { MAX_UPLOAD_BYTES } from "./uploads.js";
+
+// ===== Config (.env) =====
+const THUMBNAIL_WIDTH = Number(process.env.THUMBNAIL_WIDTH || 240);
+const PREVIEW_WIDTH = Number(process.env.PREVIEW_WIDTH || 800);
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+// uploads/123_unit1.pdf -> uploads/123_unit1.pdf.thumb.jpg
+export const previewKeysFor = (fileKey) => ({
+  thumbnailKey: `${fileKey}.thumb.jpg`,
+  previewKey: `${fileKey}.preview.jpg`,
+});
+
+const renderImage = async (buffer, width, quality) => {
+  const image = await loadImage(buffer);
+  const scale = Math.min(1, width / image.width);
+  const canvas = createCanvas(
+    Math.max(1, Math.round(image.width * scale)),
+    Math.max(1, Math.round(image.height * scale))
+  );
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.encode("jpeg", quality);
+};
+
+// Picks a renderer from the stored content type / extension, or null
+const rendererFor = (fileKey, contentType) => {
+  const type = String(contentType || "").split(";")[0];
+  const ext = path.extname(fileKey).toLowerCase();
+  if (type === "application/pdf" || ext === ".pdf")
+    return (buffer, width, quality) =>
+      renderPdfPage(buffer, { page: 1, width, quality });
+  if (IMAGE_TYPES.includes(type) || [".jpg", ".jpeg", ".png"].includes(ext))
+    return renderImage;
+  return null;
+};
+
+const putJpeg = (fileKey, buffer) =>
+  uploadStream(fileKey, Readable.from([buffer]), "image/jpeg");
+
+// Only written while the note still points at the file that was rendered:
+// a purged note or a newer version matches nothing
+const setPreviews = (note, previews) =>
+  Note.updateOne({ _id: note._id, fileKey: note.fileKey }, { previews });
+
+const generatePreviews = async (note) => {
+  const previous = note.previews || {};
+  try {
+    const info = await getObjectInfo(note.fileKey);
+    if (!info) throw new Error("File not found in storage");
+    const render = rendererFor(note.fileKey, info.contentType);
+    if (!render || info.size > MAX_UPLOAD_BYTES)
+      return await setPreviews(note, { status: "unsupported" });
+
+    const buffer = await readObjectBuffer(note.fileKey);
+    const keys = previewKeysFor(note.fileKey);
+    await putJpeg(keys.thumbnailKey, await render(buffer, THUMBNAIL_WIDTH, 75));
+    await putJpeg(keys.previewKey, await render(buffer, PREVIEW_WIDTH, 60));
+
+    const { matchedCount } = await setPreviews(note, {
+      status: "ready",
+      ...keys,
+      generatedAt: new Date(),
+    });
+    // Purged or replaced in the meantime: nobody will reference these images
+    const unused = matchedCount
+      ? [previous.thumbnailKey, previous.previewKey].filter(
+          (k) => k && k !== keys.thumbnailKey && k !== keys.previewKey
+        )
+      : [keys.thumbnailKey, keys.previewKey];
+    for (const key of unused) await deleteS3Object(key).catch(() => {});
+  } catch (err) {
+    console.error(`Preview generation failed for note ${note._id}:`, err);
+    try {
+      await setPreviews(note, { status: "failed", error: err.message });
+    } catch (saveErr) {
+      console.error(`Could not mark note ${note._id} as failed:`, saveErr);
+    }
+  }
+};
+
+// ===== Generation queue (same shape as utils/contentIndex.js) =====
+
+let processing = false;
+export const processPreviewQueue = async () => {
+  if (processing) return;
+  processing = true;
+  try {
+    let note;
+    while (
+      (note = await Note.findOneAndUpdate(
+        { "previews.status": "pending" },
+        { "previews.status": "generating" },
+        { sort: { createdAt: 1 }, new: true }
+      ))
+    ) {
+      await generatePreviews(note);
+    }
+  } catch (err) {
+    console.error("Preview queue error:", err);
+  } finally {
+    processing = false;
+  }
+};
+
+// Regenerate previews for the given notes (e.g. after their file changed)
+export const queueNotePreviews = async (noteIds) => {
+  await Note.updateMany(
+    { _id: { $in: noteIds } },
+    { "previews.status": "pending" }
+  );
+  processPreviewQueue();
+};
+
+export const startPreviewGeneration = async () => {
+  // Notes from before previews existed, and ones interrupted by a restart
+  await Note.updateMany(
+    {
+      $or: [
+        { previews: { $exists: false } },
+        { "previews.status": "generating" },
+      ],
+    },
+    { "previews.status": "pending" }
+  );
+  processPreviewQueue();
+};
+
+// { thumbnailUrl, previewUrl }, null while not generated
+export const previewUrlsFor = async (note) => {
+  const previews = note.previews || {};
+  if (previews.status !== "ready")
+    return { thumbnailUrl: null, previewUrl: null };
+  const [thumbnailUrl, previewUrl] = await Promise.all([
+    getDownloadURL(previews.thumbnailKey),
+    getDownloadURL(previews.previewKey),
+  ]);
+  return { thumbnailUrl, previewUrl };
+};
@@ -0,0 +1,207 @@
+// utils/noteReports.js
+import mongoose from "mongoose";
+import Note from "../Models/Note.js";
+import NoteReport from "../Models/NoteReport.js";
+import Subject from "../Models/Subject.js";
+import Branch from "../Models/Branch.js";
+import Faculty from "../Models/Faculty.js";
+import { scopeQuery } from "./adminScope.js";
+import { adminScopeFor, authorize } from "./permissions.js";
+import { verifyUploadedFile } from "./uploads.js";
+import { addNoteVersion } from "./noteVersions.js";
+import { moveToRecycleBin } from "./recycleBin.js";
+
+// ===== Student reports =====
+// Students report a note with a reason; once REPORT_HIDE_THRESHOLD open
+// reports pile up the note leaves public listings (reports.hiddenAt) until
+// someone resolves them. Admins (in scope) and the uploader / assigned
+// faculty triage reports per note.
+
+export const REPORT_REASONS = [
+  "wrong_subject",
+  "corrupted_file",
+  "inappropriate",
+  "duplicate",
+  "other",
+];
+export const REPORT_RESOLUTIONS = ["move", "replace", "delete", "dismiss"];
+export const REPORT_HIDE_THRESHOLD = Number(
+  process.env.REPORT_HIDE_THRESHOLD || 5
+);
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Files a report and hides the note once the threshold is reached.
+ * Resolves to { report, hidden } or { error }.
+ */
+export const fileReport = async (note, studentId, { reason, comment }) => {
+  if (!REPORT_REASONS.includes(reason))
+    return { error: `reason must be one of: ${REPORT_REASONS.join(", ")}` };
+  if (comment && String(comment).length > MAX_COMMENT_LENGTH)
+    return { error: `comment is limited to ${MAX_COMMENT_LENGTH} characters` };
+
+  let report;
+  try {
+    report = await NoteReport.create({
+      note: note._id,
+      reportedBy: studentId,
+      reason,
+      comment: comment ? String(comment).trim() : undefined,
+    });
+  } catch (err) {
+    if (err.code === 11000)
+      return { error: "You already have an open report on this note" };
+    throw err;
+  }
+
+  const updated = await Note.findOneAndUpdate(
+    { _id: note._id },
+    { $inc: { "reports.open": 1 } },
+    { new: true }
+  );
+  let hidden = Boolean(updated?.reports?.hiddenAt);
+  if (updated && !hidden && updated.reports.open >= REPORT_HIDE_THRESHOLD) {
+    await Note.updateOne(
+      { _id: note._id, "reports.hiddenAt": null },
+      { "reports.hiddenAt": new Date() }
+    );
+    hidden = true;
+  }
+  return { report, hidden };
+};
+
+// Notes whose reports the user triages
+export const triageNoteFilter = async (req) => {
+  if (req.user.role === "admin")
+    return scopeQuery.note(await adminScopeFor(req));
+  const faculty = await Faculty.findById(req.user.id, "assignedSubjects");
+  return {
+    $or: [
+      { uploadedBy: req.user.id },
+      { subject: { $in: faculty?.assignedSubjects || [] } },
+    ],
+  };
+};
+
+const countBy = (values) =>
+  values.reduce((counts, v) => ({ ...counts, [v]: (counts[v] || 0) + 1 }), {});
+
+/**
+ * Reports grouped per note, most reported first:
+ * [{ note, count, reasons: { wrong_subject: 2, ... }, latestAt }]
+ */
+export const reportQueue = async (noteFilter, status = "open") => {
+  const groups = await NoteReport.aggregate([
+    { $match: { status } },
+    {
+      $group: {
+        _id: "$note",
+        count: { $sum: 1 },
+        reasons: { $push: "$reason" },
+        latestAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { count: -1, latestAt: -1 } },
+  ]);
+  if (!groups.length) return [];
+
+  const notes = await Note.find(
+    { $and: [noteFilter, { _id: { $in: groups.map((g) => g._id) } }] },
+    "title subject branch regulation semester uploadedBy moderation reports"
+  )
+    .populate("subject", "name code")
+    .populate("branch", "name")
+    .populate("uploadedBy", "name email");
+  const byId = new Map(notes.map((n) => [String(n._id), n]));
+
+  return groups
+    .filter((g) => byId.has(String(g._id)))
+    .map((g) => ({
+      note: byId.get(String(g._id)),
+      count: g.count,
+      reasons: countBy(g.reasons),
+      latestAt: g.latestAt,
+    }));
+};
+
+// Files the note under another subject (and that subject's branch,
+// regulation and semester). The caller must also be allowed to manage the
+// note where it ends up: same note check, against the target subject.
+const moveNote = async (req, note, subjectId) => {
+  if (!mongoose.Types.ObjectId.isValid(subjectId))
+    return { error: "Invalid subject" };
+  const subject = await Subject.findById(subjectId);
+  if (!subject) return { error: "Subject not found" };
+  const decision = await authorize.note(req, {
+    uploadedBy: note.uploadedBy,
+    subject: subject._id,
+    branch: subject.branch,
+  });
+  if (!decision.allowed) return { denied: decision };
+  const branch = await Branch.findById(subject.branch);
+  if (!branch) return { error: "Branch not found" };
+
+  note.subject = subject._id;
+  note.branch = branch._id;
+  note.regulation = branch.regulation;
+  note.semester = String(subject.semester);
+  await note.save();
+  return {};
+};
+
+/**
+ * Resolves every open report of a note:
+ *   move { subject } | replace { fileKey } (faculty, presigned upload first)
+ *   | delete (to the recycle bin) | dismiss
+ * Resolves to { resolved } with the number of reports closed, or
+ * { error } / { denied } when the action could not be done.
+ */
+export const resolveNoteReports = async (req, note, body = {}) => {
+  const { action, subject, fileKey, comment } = body;
+  if (!REPORT_RESOLUTIONS.includes(action))
+    return {
+      error: `action must be one of: ${REPORT_RESOLUTIONS.join(", ")}`,
+    };
+  if (!(await NoteReport.exists({ note: note._id, status: "open" })))
+    return { error: "This note has no open reports" };
+
+  if (action === "move") {
+    if (!subject) return { error: "subject is required to move a note" };
+    const moved = await moveNote(req, note, subject);
+    if (moved.error || moved.denied) return moved;
+  } else if (action === "replace") {
+    if (req.user.role !== "faculty")
+      return { error: "Only faculty can upload a replacement file" };
+    const check = await verifyUploadedFile(req.user.id, fileKey);
+    if (!check.ok) return { error: check.reason };
+    const added = await addNoteVersion(note, {
+      pending: check.pending,
+      info: check.info,
+      userId: req.user.id,
+      comment: comment || "Replaced after student reports",
+    });
+    if (added.error) return { error: added.error };
+  } else if (action === "delete") {
+    await moveToRecycleBin(req, "note", note);
+  }
+
+  const { modifiedCount } = await NoteReport.updateMany(
+    { note: note._id, status: "open" },
+    {
+      status: action === "dismiss" ? "dismissed" : "resolved",
+      resolution: {
+        action,
+        comment,
+        by: req.user.id,
+        byRole: req.user.role,
+        at: new Date(),
+      },
+    }
+  );
+  // also for deleted notes, so one restored from the recycle bin is listed
+  await Note.updateOne(
+    { _id: note._id },
+    { $set: { "reports.open": 0 }, $unset: { "reports.hiddenAt": "" } }
+  );
+  return { resolved: modifiedCount };
+};
@@ -0,0 +1,110 @@
+// utils/noteSearch.js
+import mongoose from "mongoose";
+import Subject from "../Models/Subject.js";
+import Faculty from "../Models/Faculty.js";
+import { findContentMatches } from "./contentIndex.js";
+import { PUBLIC_NOTE_FILTER } from "./moderation.js";
+
+export const SEARCH_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  title_asc: { title: 1, createdAt: -1 },
+  title_desc: { title: -1, createdAt: -1 },
+};
+export const SEARCH_MAX_LIMIT = 100;
+
+export const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Turns /api/notes/search query params into a Note filter + paging.
+ * Resolves to { filter, sort, page, limit, contentMatches } or { error } for
+ * a bad request. contentMatches maps noteId -> matching pages with snippets.
+ */
+export const buildNoteSearch = async (query) => {
+  const {
+    q,
+    regulation,
+    branch,
+    semester,
+    subject,
+    uploadedBy,
+    from,
+    to,
+    sort = "newest",
+    page = 1,
+    limit = 20,
+  } = query;
+
+  const filter = { ...PUBLIC_NOTE_FILTER };
+  const refs = { regulation, branch, subject, uploadedBy };
+  for (const [field, value] of Object.entries(refs)) {
+    if (!value) continue;
+    if (!mongoose.Types.ObjectId.isValid(value))
+      return { error: `Invalid ${field}` };
+    filter[field] = value;
+  }
+  if (semester) filter.semester = String(semester);
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = parseDate(from);
+      if (!fromDate) return { error: "Invalid from date" };
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = parseDate(to);
+      if (!toDate) return { error: "Invalid to date" };
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  // Free text: title, a subject / uploader whose name matches, or the
+  // extracted PDF text
+  let contentMatches = new Map();
+  if (q && String(q).trim()) {
+    const pattern = new RegExp(escapeRegex(String(q).trim()), "i");
+    const [subjects, faculty, matches] = await Promise.all([
+      Subject.find({ $or: [{ name: pattern }, { code: pattern }] }, "_id"),
+      Faculty.find({ name: pattern }, "_id"),
+      findContentMatches(q),
+    ]);
+    contentMatches = matches;
+    filter.$or = [
+      { title: pattern },
+      { subject: { $in: subjects.map((s) => s._id) } },
+      { uploadedBy: { $in: faculty.map((f) => f._id) } },
+      { _id: { $in: [...contentMatches.keys()] } },
+    ];
+  }
+
+  if (!SEARCH_SORTS[sort])
+    return {
+      error: `sort must be one of: ${Object.keys(SEARCH_SORTS).join(", ")}`,
+    };
+
+  const pageNum = Number(page);
+  const limitNum = Number(limit);
+  if (!Number.isInteger(pageNum) || pageNum < 1)
+    return { error: "page must be a positive integer" };
+  if (
+    !Number.isInteger(limitNum) ||
+    limitNum < 1 ||
+    limitNum > SEARCH_MAX_LIMIT
+  )
+    return { error: `limit must be between 1 and ${SEARCH_MAX_LIMIT}` };
+
+  return {
+    filter,
+    sort: SEARCH_SORTS[sort],
+    page: pageNum,
+    limit: limitNum,
+    contentMatches,
+  };
+};
@@ -0,0 +1,139 @@
+// utils/noteVersions.js
+import Note from "../Models/Note.js";
+import PendingUpload from "../Models/PendingUpload.js";
+import { queueContentIndex } from "./contentIndex.js";
+import { queueNotePreviews } from "./notePreviews.js";
+import { resubmitAfterChange } from "./moderation.js";
+
+// ===== Note versions =====
+// A new file for an existing note is uploaded through the usual presigned
+// flow (/upload or multipart) and then attached here. The note keeps its
+// _id; every file stays in note.versions, fileKey always points at the
+// current one.
+
+// Notes saved before versioning have no history yet: their file is v1
+export const versionHistoryOf = (note) =>
+  note.versions?.length
+    ? note.versions
+    : [
+        {
+          version: 1,
+          fileKey: note.fileKey,
+          uploadedBy: note.uploadedBy,
+          uploadedAt: note.createdAt,
+        },
+      ];
+
+export const findVersion = (note, number) =>
+  versionHistoryOf(note).find((v) => v.version === Number(number));
+
+// The file changed: search text and previews have to follow
+const refreshDerivedContent = async (note) => {
+  await queueContentIndex([note._id]);
+  await queueNotePreviews([note._id]);
+};
+
+/**
+ * Makes a verified upload (see verifyUploadedFile) the note's current file.
+ * Resolves to { entry } (the new version) or { status, error } when another
+ * upload took the same version number first.
+ */
+export const addNoteVersion = async (
+  note,
+  { pending, info, userId, comment }
+) => {
+  const legacy = !note.versions?.length;
+  if (legacy) note.versions = versionHistoryOf(note);
+  const version = Math.max(...note.versions.map((v) => v.version)) + 1;
+
+  note.versions.push({
+    version,
+    fileKey: pending.fileKey,
+    originalName: pending.originalName,
+    fileType: pending.fileType,
+    size: info.size,
+    comment,
+    uploadedBy: userId,
+  });
+  note.fileKey = pending.fileKey;
+  note.currentVersion = version;
+  resubmitAfterChange(note);
+
+  // Written only if nobody added this version number meanwhile, so two
+  // concurrent uploads can't both become version N
+  const doc = note.toObject();
+  const entry = doc.versions[doc.versions.length - 1];
+  const { matchedCount } = await Note.updateOne(
+    legacy
+      ? { _id: note._id, "versions.0": { $exists: false } }
+      : { _id: note._id, "versions.version": { $ne: version } },
+    {
+      $set: {
+        fileKey: doc.fileKey,
+        currentVersion: version,
+        moderation: doc.moderation,
+        ...(legacy && { versions: doc.versions }),
+      },
+      ...(!legacy && { $push: { versions: entry } }),
+    }
+  );
+  if (!matchedCount)
+    return {
+      status: 409,
+      error: "Another version was uploaded at the same time, try again",
+    };
+  await PendingUpload.deleteOne({ _id: pending._id });
+
+  await refreshDerivedContent(note);
+  return { entry: note.versions[note.versions.length - 1] };
+};
+
+/**
+ * Points the note back at an earlier file; history is left as it is.
+ * Resolves to {} or { status, error } when the current version changed
+ * in the meantime.
+ */
+export const rollbackNoteVersion = async (note, entry) => {
+  const current = note.currentVersion || 1;
+  const legacy = !note.versions?.length;
+  if (legacy) note.versions = versionHistoryOf(note);
+  note.fileKey = entry.fileKey;
+  note.currentVersion = entry.version;
+  resubmitAfterChange(note);
+
+  // Notes from before versioning have no currentVersion stored (v1)
+  const doc = note.toObject();
+  const { matchedCount } = await Note.updateOne(
+    {
+      _id: note._id,
+      currentVersion: current === 1 ? { $in: [1, null] } : current,
+    },
+    {
+      $set: {
+        fileKey: doc.fileKey,
+        currentVersion: doc.currentVersion,
+        moderation: doc.moderation,
+        ...(legacy && { versions: doc.versions }),
+      },
+    }
+  );
+  if (!matchedCount)
+    return {
+      status: 409,
+      error: "The note's file changed at the same time, try again",
+    };
+
+  await refreshDerivedContent(note);
+  return {};
+};
+
+export const versionView = (note, entry) => ({
+  version: entry.version,
+  originalName: entry.originalName,
+  fileType: entry.fileType,
+  size: entry.size,
+  comment: entry.comment,
+  uploadedBy: entry.uploadedBy,
+  uploadedAt: entry.uploadedAt,
+  current: entry.version === (note.currentVersion || 1),
+});
@@ -0,0 +1,35 @@
+// utils/noteViews.js
+import { getDownloadURL } from "./s3.js";
+import { previewUrlsFor } from "./notePreviews.js";
+
+// Populates what publicNoteView needs on a Note query
+export const populatePublicNote = (query) =>
+  query
+    .populate("branch", "name")
+    .populate("subject", "name code")
+    .populate("regulation", "name")
+    .populate("uploadedBy", "name email");
+
+// Public shape of a note (populated branch/subject/regulation/uploadedBy)
+export const publicNoteView = async (note) => ({
+  _id: note._id,
+  title: note.title,
+  semester: note.semester,
+  branch: note.branch,
+  subject: note.subject,
+  regulation: note.regulation,
+  description: note.description,
+  tags: note.tags,
+  unit: note.unit,
+  resourceType: note.resourceType,
+  academicYear: note.academicYear,
+  uploadedBy: note.uploadedBy
+    ? { _id: note.uploadedBy._id, name: note.uploadedBy.name }
+    : null,
+  createdAt: note.createdAt,
+  views: note.stats?.views || 0,
+  downloads: note.stats?.downloads || 0,
+  fileUrl: note.fileKey ? await getDownloadURL(note.fileKey) : null,
+  fileKey: note.fileKey,
+  ...(await previewUrlsFor(note)),
+});
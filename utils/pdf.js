@@ -0,0 +1,72 @@
+// utils/pdf.js
+import path from "path";
+import { createRequire } from "module";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { getObjectStream } from "./s3.js";
+
+// Glyph data for the 14 standard PDF fonts, needed to render their text
+const require = createRequire(import.meta.url);
+const STANDARD_FONTS_DIR =
+  path.join(
+    path.dirname(require.resolve("pdfjs-dist/package.json")),
+    "standard_fonts"
+  ) + path.sep;
+
+// Reads a whole stored object into memory (PDFs need random access)
+export const readObjectBuffer = async (fileKey) => {
+  const chunks = [];
+  for await (const chunk of await getObjectStream(fileKey)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+export const loadPdf = (buffer) =>
+  getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    useSystemFonts: false,
+    standardFontDataUrl: STANDARD_FONTS_DIR,
+    verbosity: 0,
+  }).promise;
+
+// [{ page, text }] for every page, page numbers starting at 1
+export const extractPdfPages = async (buffer) => {
+  const pdf = await loadPdf(buffer);
+  try {
+    const pages = [];
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const page = await pdf.getPage(n);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map((item) => (item.hasEOL ? `${item.str}\n` : item.str))
+        .join(" ")
+        .replace(/[ \t]+/g, " ")
+        .trim();
+      pages.push({ page: n, text });
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Renders one page to a JPEG `width` pixels wide (white background)
+export const renderPdfPage = async (buffer, { page = 1, width, quality }) => {
+  const pdf = await loadPdf(buffer);
+  try {
+    const pdfPage = await pdf.getPage(page);
+    const scale = width / pdfPage.getViewport({ scale: 1 }).width;
+    const viewport = pdfPage.getViewport({ scale });
+    const { canvas, context } = pdf.canvasFactory.create(
+      Math.ceil(viewport.width),
+      Math.ceil(viewport.height)
+    );
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await pdfPage.render({ canvasContext: context, viewport }).promise;
+    pdfPage.cleanup();
+    return canvas.encode("jpeg", quality);
+  } finally {
+    await pdf.destroy();
+  }
+};
@@ -0,0 +1,132 @@
+// utils/permissions.js
+import Admin from "../Models/Admin.js";
+import Faculty from "../Models/Faculty.js";
+import {
+  loadAdminScope,
+  canManageRegulation,
+  canManageBranch,
+} from "./adminScope.js";
+
+// ===== Permission layer =====
+// Every check resolves to a decision: { allowed: true } or
+// { allowed: false, code, message }. Routes turn denials into a 403 with
+// sendDenied so clients always get the same shape.
+
+export const DENY_CODES = {
+  ROLE_NOT_ALLOWED: "ROLE_NOT_ALLOWED",
+  ADMIN_REQUIRED: "ADMIN_REQUIRED",
+  SUPER_ADMIN_REQUIRED: "SUPER_ADMIN_REQUIRED",
+  OUT_OF_ADMIN_SCOPE: "OUT_OF_ADMIN_SCOPE",
+  NOT_NOTE_OWNER: "NOT_NOTE_OWNER",
+};
+
+const ALLOW = Object.freeze({ allowed: true });
+export const deny = (code, message) => ({ allowed: false, code, message });
+
+export const sendDenied = (res, decision) =>
+  res.status(403).json({ message: decision.message, code: decision.code });
+
+// Middleware: only the listed token roles get through
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role))
+      return sendDenied(
+        res,
+        deny(
+          DENY_CODES.ROLE_NOT_ALLOWED,
+          `Only ${roles.join(" or ")} accounts can do this`
+        )
+      );
+    next();
+  };
+
+// Nothing in it: what a missing or deactivated admin account may manage
+const EMPTY_SCOPE = Object.freeze({
+  regulationIds: [],
+  branchIds: [],
+  visibleRegulationIds: [],
+});
+
+// Admin account + scope for the request, loaded once (adminMiddleware in
+// Routes/admin.js fills these in already). A missing or inactive account
+// gets an empty scope, never the unrestricted null of super admins.
+export const adminScopeFor = async (req) => {
+  if (req.adminScope === undefined) {
+    req.admin = req.admin || (await Admin.findById(req.user.id));
+    req.adminScope = req.admin?.active
+      ? await loadAdminScope(req.admin)
+      : EMPTY_SCOPE;
+  }
+  return req.adminScope;
+};
+
+// Whether the request comes from an existing, active admin account
+const isActiveAdmin = async (req) => {
+  if (req.user?.role !== "admin") return false;
+  await adminScopeFor(req);
+  return Boolean(req.admin?.active);
+};
+
+const outOfScope = () =>
+  deny(DENY_CODES.OUT_OF_ADMIN_SCOPE, "Outside your admin scope");
+
+const adminOnly = () =>
+  deny(DENY_CODES.ADMIN_REQUIRED, "Admin access required");
+
+export const authorize = {
+  // Faculty: own notes, or notes of subjects assigned to them.
+  // Admins: notes inside their scope.
+  note: async (req, note) => {
+    const { role, id } = req.user || {};
+    if (role === "admin") {
+      if (!(await isActiveAdmin(req))) return adminOnly();
+      return canManageBranch(req.adminScope, note.branch?._id || note.branch)
+        ? ALLOW
+        : outOfScope();
+    }
+    if (role === "faculty") {
+      if (String(note.uploadedBy) === String(id)) return ALLOW;
+      const assigned = await Faculty.exists({
+        _id: id,
+        assignedSubjects: note.subject,
+      });
+      return assigned
+        ? ALLOW
+        : deny(
+            DENY_CODES.NOT_NOTE_OWNER,
+            "You can only modify your own notes or notes of your subjects"
+          );
+    }
+    return deny(DENY_CODES.ROLE_NOT_ALLOWED, "You cannot modify notes");
+  },
+
+  regulation: async (req, regulationId) => {
+    if (!(await isActiveAdmin(req))) return adminOnly();
+    return canManageRegulation(req.adminScope, regulationId)
+      ? ALLOW
+      : outOfScope();
+  },
+
+  branch: async (req, branchId) => {
+    if (!(await isActiveAdmin(req))) return adminOnly();
+    return canManageBranch(req.adminScope, branchId) ? ALLOW : outOfScope();
+  },
+
+  // Subjects belong to the scope through their branch
+  subject: async (req, subject) =>
+    authorize.branch(req, subject.branch?._id || subject.branch),
+
+  // Regulation entries need the regulation, everything else its branch
+  recycleBinEntry: async (req, entry) =>
+    entry.entity === "regulation"
+      ? authorize.regulation(req, entry.entityId)
+      : authorize.branch(req, entry.branch),
+
+  superAdmin: async (req) => {
+    if (!(await isActiveAdmin(req))) return adminOnly();
+    return req.admin.type === "super"
+      ? ALLOW
+      : deny(DENY_CODES.SUPER_ADMIN_REQUIRED, "Super admin access required");
+  },
+};
@@ -0,0 +1,269 @@
+// utils/recycleBin.js
+import mongoose from "mongoose";
+import RecycleBinEntry from "../Models/RecycleBinEntry.js";
+import Regulation from "../Models/Regulation.js";
+import Branch from "../Models/Branch.js";
+import Subject from "../Models/Subject.js";
+import Note from "../Models/Note.js";
+import { cleanupDeletedNotes, deleteNoteFiles } from "./noteCleanup.js";
+
+// ===== Recycle bin =====
+// Deleting a regulation, branch, subject or note marks it and its live
+// descendants as deleted (utils/softDelete.js) under one RecycleBinEntry.
+// Nothing leaves storage until the entry is purged, by an admin or by the
+// retention job after RECYCLE_BIN_RETENTION_DAYS.
+export const RECYCLE_BIN_RETENTION_DAYS = Number(
+  process.env.RECYCLE_BIN_RETENTION_DAYS || 30
+);
+const PURGE_INTERVAL_MINUTES = Number(
+  process.env.RECYCLE_BIN_PURGE_INTERVAL_MINUTES || 60
+);
+
+const MODELS = {
+  regulation: Regulation,
+  branch: Branch,
+  subject: Subject,
+  note: Note,
+};
+
+// Parent that has to be live before an entity can be restored
+const PARENTS = {
+  branch: ["regulation", Regulation],
+  subject: ["branch", Branch],
+  note: ["subject", Subject],
+};
+
+const withDeleted = { withDeleted: true };
+const ids = (docs) => docs.map((d) => d._id);
+
+// Live descendants that go to the bin together with an entity (the same
+// set the old cascade deletes removed)
+const findDescendants = async (entity, doc, session) => {
+  if (entity === "note") return { branches: [], subjects: [], notes: [] };
+
+  const branches =
+    entity === "regulation"
+      ? await Branch.find({ regulation: doc._id }, "_id").session(session)
+      : [];
+  const branchIds = entity === "branch" ? [doc._id] : ids(branches);
+  const subjects =
+    entity === "subject"
+      ? []
+      : await Subject.find({ branch: { $in: branchIds } }, "_id").session(
+          session
+        );
+  const subjectIds = entity === "subject" ? [doc._id] : ids(subjects);
+
+  const notes = await Note.find(
+    {
+      $or: [
+        { subject: { $in: subjectIds } },
+        { branch: { $in: branchIds } },
+        ...(entity === "regulation" ? [{ regulation: doc._id }] : []),
+      ],
+    },
+    "_id"
+  ).session(session);
+
+  return { branches, subjects, notes };
+};
+
+// regulation / branch / subject ids above (and including) the entity
+const hierarchyOf = async (entity, doc) => {
+  if (entity === "regulation") return { regulation: doc._id };
+  if (entity === "branch")
+    return { regulation: doc.regulation, branch: doc._id };
+  if (entity === "subject") {
+    const branch = await Branch.findById(doc.branch, "regulation").setOptions(
+      withDeleted
+    );
+    return {
+      regulation: branch?.regulation,
+      branch: doc.branch,
+      subject: doc._id,
+    };
+  }
+  return {
+    regulation: doc.regulation,
+    branch: doc.branch,
+    subject: doc.subject,
+  };
+};
+
+/**
+ * Moves an entity and its descendants to the recycle bin in one
+ * transaction. Resolves to the RecycleBinEntry.
+ */
+export const moveToRecycleBin = async (req, entity, doc) => {
+  const hierarchy = await hierarchyOf(entity, doc);
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { branches, subjects, notes } = await findDescendants(
+      entity,
+      doc,
+      session
+    );
+    const [entry] = await RecycleBinEntry.create(
+      [
+        {
+          entity,
+          entityId: doc._id,
+          label: doc.name || doc.title,
+          ...hierarchy,
+          counts: {
+            branches: branches.length,
+            subjects: subjects.length,
+            notes: notes.length,
+          },
+          deletedBy: req.user?.id,
+          deletedByRole: req.user?.role,
+          purgeAfter: new Date(
+            Date.now() + RECYCLE_BIN_RETENTION_DAYS * 24 * 60 * 60 * 1000
+          ),
+        },
+      ],
+      { session }
+    );
+
+    const mark = {
+      $set: { deletedAt: entry.deletedAt, deletedWith: entry._id },
+    };
+    await MODELS[entity].updateOne({ _id: doc._id }, mark).session(session);
+    await Branch.updateMany({ _id: { $in: ids(branches) } }, mark).session(
+      session
+    );
+    await Subject.updateMany({ _id: { $in: ids(subjects) } }, mark).session(
+      session
+    );
+    await Note.updateMany({ _id: { $in: ids(notes) } }, mark).session(session);
+
+    await session.commitTransaction();
+    return entry;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Brings back everything deleted with an entry. The parent of the entry's
+ * record has to be live, so restore from the top of the hierarchy down.
+ * Resolves to { restored } or { error }.
+ */
+export const restoreFromRecycleBin = async (entry) => {
+  const doc = await MODELS[entry.entity]
+    .findById(entry.entityId)
+    .setOptions(withDeleted);
+  if (!doc) return { error: "The deleted record no longer exists" };
+
+  if (PARENTS[entry.entity]) {
+    const [parentEntity, ParentModel] = PARENTS[entry.entity];
+    if (!(await ParentModel.exists({ _id: doc[parentEntity] })))
+      return {
+        error: `Its ${parentEntity} is in the recycle bin, restore that first`,
+      };
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const restore = {
+      $set: { deletedAt: null },
+      $unset: { deletedWith: "" },
+    };
+    for (const Model of Object.values(MODELS))
+      await Model.updateMany({ deletedWith: entry._id }, restore).session(
+        session
+      );
+    await RecycleBinEntry.deleteOne({ _id: entry._id }).session(session);
+
+    await session.commitTransaction();
+    return { restored: entry.counts };
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Entries deleted earlier from inside this entry's subtree go with it
+const nestedEntries = (entry) => {
+  if (entry.entity === "note") return [];
+  return RecycleBinEntry.find({
+    _id: { $ne: entry._id },
+    [entry.entity]: entry.entityId,
+  });
+};
+
+/**
+ * Permanently deletes an entry (and entries nested under it): documents
+ * first, in one transaction, then the files in storage once nothing
+ * points at them anymore. Resolves to { entries, notes } counts.
+ */
+export const purgeRecycleBinEntry = async (entry) => {
+  const entries = [entry, ...(await nestedEntries(entry))];
+  const entryIds = ids(entries);
+  const notes = await Note.find({ deletedWith: { $in: entryIds } }).setOptions(
+    withDeleted
+  );
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    for (const Model of Object.values(MODELS))
+      await Model.deleteMany({ deletedWith: { $in: entryIds } }).session(
+        session
+      );
+    await cleanupDeletedNotes(ids(notes), session);
+    await RecycleBinEntry.deleteMany({ _id: { $in: entryIds } }).session(
+      session
+    );
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  for (const note of notes) {
+    try {
+      await deleteNoteFiles(note);
+    } catch (err) {
+      console.error("Recycle bin: failed to delete files of", note._id, err);
+    }
+  }
+  return { entries: entries.length, notes: notes.length };
+};
+
+export const purgeExpiredRecycleBin = async () => {
+  const expired = await RecycleBinEntry.find({
+    purgeAfter: { $lte: new Date() },
+  });
+
+  let purged = 0;
+  for (const entry of expired) {
+    // may already be gone as part of a parent purged earlier in this loop
+    if (!(await RecycleBinEntry.exists({ _id: entry._id }))) continue;
+    try {
+      purged += (await purgeRecycleBinEntry(entry)).entries;
+    } catch (err) {
+      console.error("Recycle bin purge failed for", entry._id, err);
+    }
+  }
+  if (purged) console.log(`Purged ${purged} recycle bin entr(ies)`);
+  return purged;
+};
+
+export const startRecycleBinRetention = () => {
+  const run = () =>
+    purgeExpiredRecycleBin().catch((err) =>
+      console.error("Recycle bin retention error:", err)
+    );
+  run();
+  return setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+};
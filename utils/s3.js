@@ -1,53 +1,71 @@
 // utils/s3.js
-import AWS from "aws-sdk";
-import dotenv from "dotenv";
-dotenv.config();
-
-const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION, S3_BUCKET_NAME } =
-  process.env;
-
-if (!AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY || !AWS_REGION) {
-  throw new Error(
-    "AWS credentials or region missing. Please set AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY and AWS_REGION in your .env"
-  );
-}
-
-if (!S3_BUCKET_NAME) {
-  throw new Error("S3_BUCKET_NAME is not set in .env");
-}
-
-AWS.config.update({
-  accessKeyId: AWS_ACCESS_KEY_ID,
-  secretAccessKey: AWS_SECRET_ACCESS_KEY,
-  region: AWS_REGION,
-});
-
-const s3 = new AWS.S3();
-const BUCKET = S3_BUCKET_NAME;
+// Storage helpers used by the routes. The backend behind them (S3 or local
+// disk) is picked by STORAGE_DRIVER, see utils/storage/index.js.
+import storage from "./storage/index.js";
 
 // ===== Single file helpers =====
 
 export const getUploadURL = async (fileKey, fileType, expiresSec = 3600) => {
-  const params = {
-    Bucket: BUCKET,
-    Key: fileKey,
-    ContentType: fileType,
-    Expires: expiresSec,
-  };
-  return s3.getSignedUrlPromise("putObject", params);
+  return storage.getUploadURL(fileKey, fileType, expiresSec);
 };
 
 export const getDownloadURL = async (fileKey, expiresSec = 3600) => {
-  const params = { Bucket: BUCKET, Key: fileKey, Expires: expiresSec };
-  return s3.getSignedUrlPromise("getObject", params);
+  return storage.getDownloadURL(fileKey, expiresSec);
 };
 
 // ✅ Both names exported for compatibility
 export const deleteS3Object = async (fileKey) => {
-  return s3.deleteObject({ Bucket: BUCKET, Key: fileKey }).promise();
+  return storage.deleteObject(fileKey);
 };
 export const deleteFile = deleteS3Object; // alias for backward compatibility
 
+// { size, contentType } or null when the object doesn't exist
+export const getObjectInfo = async (fileKey) => {
+  return storage.headObject(fileKey);
+};
+
+export const getObjectStream = async (fileKey) => {
+  return storage.getObjectStream(fileKey);
+};
+
+// Server-side upload of a generated file (e.g. an export archive)
+export const uploadStream = async (fileKey, readable, contentType) => {
+  return storage.putObjectStream(fileKey, readable, contentType);
+};
+
+// ===== Multipart upload helpers =====
+
+export const createMultipartUpload = async (fileKey, fileType) => {
+  return storage.createMultipartUpload(fileKey, fileType);
+};
+
+export const getUploadPartURLs = async (
+  fileKey,
+  uploadId,
+  partNumbers,
+  expiresSec = 3600
+) => {
+  if (!Array.isArray(partNumbers))
+    throw new Error("partNumbers must be an array");
+  return Promise.all(
+    partNumbers.map((n) =>
+      storage.getUploadPartURL(fileKey, uploadId, n, expiresSec)
+    )
+  );
+};
+
+export const listUploadedParts = async (fileKey, uploadId) => {
+  return storage.listParts(fileKey, uploadId);
+};
+
+export const completeMultipartUpload = async (fileKey, uploadId, parts) => {
+  return storage.completeMultipartUpload(fileKey, uploadId, parts);
+};
+
+export const abortMultipartUpload = async (fileKey, uploadId) => {
+  return storage.abortMultipartUpload(fileKey, uploadId);
+};
+
 // ===== Multiple file helpers =====
 
 export const getUploadURLs = async (files) => {
@@ -67,4 +85,4 @@ export const deleteFiles = async (fileKeys) => {
   return Promise.all(fileKeys.map((key) => deleteS3Object(key)));
 };
 
-export default s3;
+export default storage;
@@ -0,0 +1,112 @@
+// utils/sessions.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../Models/Session.js";
+import Faculty from "../Models/Faculty.js";
+import Student from "../Models/Student.js";
+import Admin from "../Models/Admin.js";
+
+// ===== Config (.env) =====
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens look like "<sessionId>.<random>"
+const newRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+
+const signAccessToken = (session) =>
+  jwt.sign(
+    { id: session.user, role: session.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const userExists = async ({ user, role }) => {
+  if (role === "faculty") return Boolean(await Faculty.exists({ _id: user }));
+  if (role === "student") return Boolean(await Student.exists({ _id: user }));
+  if (role === "admin")
+    return Boolean(user && (await Admin.exists({ _id: user, active: true })));
+  return false;
+};
+
+// Starts a session at login; resolves to { token, refreshToken }
+export const createSession = async (userId, role, req) => {
+  const session = new Session({
+    user: userId,
+    role,
+    refreshTokenHash: "pending",
+    userAgent: req?.headers["user-agent"],
+    ip: req?.ip,
+    expiresAt: refreshExpiry(),
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { token: signAccessToken(session), refreshToken };
+};
+
+/**
+ * Exchanges a refresh token for a new access + refresh token pair.
+ * Presenting an already-rotated token revokes the whole session, since it
+ * means the token was copied.
+ * Resolves to { token, refreshToken } or { error }.
+ */
+export const rotateSession = async (refreshToken) => {
+  const [sessionId] = String(refreshToken || "").split(".");
+  if (!sessionId || !/^[0-9a-f]{24}$/.test(sessionId))
+    return { error: "Invalid refresh token" };
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date())
+    return { error: "Session expired, please log in again" };
+
+  const presented = hashToken(refreshToken);
+  if (presented !== session.refreshTokenHash) {
+    if (presented === session.previousTokenHash)
+      await revokeSession(session._id, "refresh token reuse");
+    return { error: "Invalid refresh token" };
+  }
+
+  if (!(await userExists(session)))
+    return { error: "Session expired, please log in again" };
+
+  const next = newRefreshToken(session._id);
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(next);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshExpiry();
+  await session.save();
+
+  return { token: signAccessToken(session), refreshToken: next };
+};
+
+export const revokeSession = (sessionId, reason = "logout") =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+// Ends every session of a user, e.g. on password change or account deletion
+export const revokeUserSessions = (userId, role, reason = "logout-all") =>
+  Session.updateMany(
+    { user: userId, role, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+// For auth middleware: null when the token's session is still good,
+// otherwise the reason it isn't
+export const checkTokenSession = async (decoded) => {
+  if (!decoded.sid) return "Session expired, please log in again";
+  const session = await Session.findById(decoded.sid);
+  if (!session || session.revokedAt || session.expiresAt < new Date())
+    return "Session has been revoked";
+  if (!(await userExists(session))) return "User no longer exists";
+  return null;
+};
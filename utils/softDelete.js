@@ -0,0 +1,38 @@
+// utils/softDelete.js
+import mongoose from "mongoose";
+
+// ===== Soft delete =====
+// Deleted documents stay in their collection with deletedAt set and
+// deletedWith pointing at the recycle bin entry that holds them (see
+// utils/recycleBin.js). Reads skip them unless the query opts in with
+// .setOptions({ withDeleted: true }) or filters on deletedAt itself.
+
+const READ_HOOKS = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+];
+
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecycleBinEntry",
+    },
+  });
+  schema.index({ deletedWith: 1 });
+
+  schema.pre(READ_HOOKS, function () {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter())
+      return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
@@ -0,0 +1,24 @@
+// utils/storage/index.js
+import dotenv from "dotenv";
+dotenv.config();
+
+import { createS3Driver } from "./s3Driver.js";
+import { createLocalDriver } from "./localDriver.js";
+
+// STORAGE_DRIVER=s3 (default) | local
+const drivers = {
+  s3: createS3Driver,
+  local: createLocalDriver,
+};
+
+const driverName = (process.env.STORAGE_DRIVER || "s3").toLowerCase();
+if (!drivers[driverName]) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(
+      drivers
+    ).join(", ")}`
+  );
+}
+
+const storage = drivers[driverName]();
+export default storage;
@@ -0,0 +1,315 @@
+// utils/storage/localDriver.js
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+
+// ===== Local filesystem storage driver =====
+// Objects live under LOCAL_STORAGE_DIR. Upload/download URLs point at
+// Routes/storage.js and carry an HMAC signature + expiry, so the client flow
+// is the same as with S3 presigned URLs.
+
+export const createLocalDriver = () => {
+  const root = path.resolve(process.env.LOCAL_STORAGE_DIR || "local-storage");
+  const secret =
+    process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET || "";
+  const baseUrl = (
+    process.env.LOCAL_STORAGE_URL ||
+    `http://localhost:${process.env.PORT || 5000}`
+  ).replace(/\/+$/, "");
+
+  if (!secret) {
+    throw new Error(
+      "LOCAL_STORAGE_SECRET (or JWT_SECRET) must be set to sign local storage URLs"
+    );
+  }
+
+  fs.mkdirSync(root, { recursive: true });
+
+  // Map an object key to a path inside root. Keys are taken literally: any
+  // "." or ".." segment is refused rather than normalized, so two different
+  // keys can never name the same file.
+  const resolvePath = (fileKey) => {
+    if (
+      !fileKey ||
+      typeof fileKey !== "string" ||
+      fileKey.startsWith("/") ||
+      fileKey.includes("\\") ||
+      fileKey.split("/").some((part) => !part || part === "." || part === "..")
+    )
+      throw new Error("Invalid file key");
+    const filePath = path.resolve(root, fileKey);
+    if (
+      !filePath.startsWith(root + path.sep) ||
+      filePath.startsWith(path.join(root, ".multipart"))
+    )
+      throw new Error("Invalid file key");
+    return filePath;
+  };
+  const metaPath = (filePath) => `${filePath}.meta.json`;
+  const readMeta = async (filePath) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(metaPath(filePath)));
+    } catch {
+      return {}; // no sidecar: treat as a generic binary
+    }
+  };
+
+  // Staging area for multipart uploads, one directory per uploadId
+  const multipartRoot = path.join(root, ".multipart");
+  const resolveUploadDir = (uploadId) => {
+    if (!/^[0-9a-f-]{36}$/.test(String(uploadId)))
+      throw new Error("Invalid upload ID");
+    return path.join(multipartRoot, uploadId);
+  };
+  const readUploadInfo = async (uploadId) => {
+    try {
+      return JSON.parse(
+        await fs.promises.readFile(
+          path.join(resolveUploadDir(uploadId), "upload.json")
+        )
+      );
+    } catch {
+      return null;
+    }
+  };
+
+  // Besides key + expiry, PUT URLs sign the content type and part URLs sign
+  // the upload ID and part number
+  const signedExtra = (op, query) => {
+    if (op === "put") return query.type || "";
+    if (op === "part") return `${query.uploadId}:${query.partNumber}`;
+    return "";
+  };
+
+  const sign = (op, fileKey, expires, extra) =>
+    crypto
+      .createHmac("sha256", secret)
+      .update([op, fileKey, expires, extra].join("\n"))
+      .digest("hex");
+
+  const signedURL = (op, fileKey, expiresSec, extraParams = {}) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresSec;
+    const params = new URLSearchParams({
+      key: fileKey,
+      expires,
+      ...extraParams,
+    });
+    params.set("sig", sign(op, fileKey, expires, signedExtra(op, extraParams)));
+    const route = op === "part" ? "part" : "object";
+    return `${baseUrl}/api/storage/${route}?${params.toString()}`;
+  };
+
+  // Returns true when the query string of a signed URL is valid for op
+  const verifySignature = (op, query) => {
+    const { key, expires, sig } = query;
+    if (!key || !expires || !sig) return false;
+    if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+    const expected = Buffer.from(
+      sign(op, key, expires, signedExtra(op, query))
+    );
+    const given = Buffer.from(String(sig));
+    return (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(expected, given)
+    );
+  };
+
+  const driver = {
+    name: "local",
+    root,
+    verifySignature,
+
+    getUploadURL: async (fileKey, fileType, expiresSec) =>
+      signedURL("put", fileKey, expiresSec, { type: fileType || "" }),
+
+    getDownloadURL: async (fileKey, expiresSec) =>
+      signedURL("get", fileKey, expiresSec),
+
+    deleteObject: async (fileKey) => {
+      const filePath = resolvePath(fileKey);
+      await fs.promises.rm(filePath, { force: true });
+      await fs.promises.rm(metaPath(filePath), { force: true });
+    },
+
+    // { size, contentType } of a stored object, or null if it doesn't exist
+    headObject: async (fileKey) => {
+      const filePath = resolvePath(fileKey);
+      try {
+        const stat = await fs.promises.stat(filePath);
+        const meta = await readMeta(filePath);
+        return { size: stat.size, contentType: meta.contentType || null };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    // Readable stream of the object's body
+    getObjectStream: async (fileKey) => {
+      const filePath = resolvePath(fileKey);
+      await fs.promises.access(filePath); // fail early when it's missing
+      return fs.createReadStream(filePath);
+    },
+
+    // Used by Routes/storage.js to receive a signed PUT, and for server-side
+    // uploads through putObjectStream
+    writeObject: async (fileKey, readable, contentType) => {
+      const filePath = resolvePath(fileKey);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${crypto.randomUUID()}.part`;
+      try {
+        await pipeline(readable, fs.createWriteStream(tmpPath));
+        await fs.promises.rename(tmpPath, filePath);
+      } catch (err) {
+        await fs.promises.rm(tmpPath, { force: true });
+        throw err;
+      }
+      const { size } = await fs.promises.stat(filePath);
+      await fs.promises.writeFile(
+        metaPath(filePath),
+        JSON.stringify({ contentType: contentType || null, size })
+      );
+      return { size };
+    },
+
+    // Used by Routes/storage.js to serve a signed GET; null if missing
+    readObject: async (fileKey) => {
+      const filePath = resolvePath(fileKey);
+      let stat;
+      try {
+        stat = await fs.promises.stat(filePath);
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+      const meta = await readMeta(filePath);
+      return {
+        size: stat.size,
+        contentType: meta.contentType || "application/octet-stream",
+        stream: fs.createReadStream(filePath),
+      };
+    },
+
+    putObjectStream: async (fileKey, readable, contentType) =>
+      driver.writeObject(fileKey, readable, contentType),
+
+    // ===== Multipart uploads =====
+
+    createMultipartUpload: async (fileKey, fileType) => {
+      resolvePath(fileKey); // validate the key up front
+      const uploadId = crypto.randomUUID();
+      const dir = resolveUploadDir(uploadId);
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, "upload.json"),
+        JSON.stringify({ fileKey, contentType: fileType || null })
+      );
+      return uploadId;
+    },
+
+    getUploadPartURL: async (fileKey, uploadId, partNumber, expiresSec) =>
+      signedURL("part", fileKey, expiresSec, {
+        uploadId,
+        partNumber: String(partNumber),
+      }),
+
+    // Used by Routes/storage.js to receive a signed part PUT; returns the ETag
+    writePart: async (fileKey, uploadId, partNumber, readable) => {
+      const upload = await readUploadInfo(uploadId);
+      if (!upload || upload.fileKey !== fileKey)
+        throw new Error("Upload not found");
+      const dir = resolveUploadDir(uploadId);
+      const partPath = path.join(dir, String(Number(partNumber)));
+      const tmpPath = `${partPath}.${crypto.randomUUID()}.part`;
+      const hash = crypto.createHash("md5");
+      readable.on("data", (chunk) => hash.update(chunk));
+      try {
+        await pipeline(readable, fs.createWriteStream(tmpPath));
+        await fs.promises.rename(tmpPath, partPath);
+      } catch (err) {
+        await fs.promises.rm(tmpPath, { force: true });
+        throw err;
+      }
+      const etag = `"${hash.digest("hex")}"`;
+      await fs.promises.writeFile(`${partPath}.json`, JSON.stringify({ etag }));
+      return etag;
+    },
+
+    listParts: async (fileKey, uploadId) => {
+      const upload = await readUploadInfo(uploadId);
+      if (!upload || upload.fileKey !== fileKey)
+        throw new Error("Upload not found");
+      const dir = resolveUploadDir(uploadId);
+      const parts = [];
+      for (const entry of await fs.promises.readdir(dir)) {
+        if (!/^\d+$/.test(entry)) continue;
+        const partPath = path.join(dir, entry);
+        const { size } = await fs.promises.stat(partPath);
+        const { etag } = JSON.parse(
+          await fs.promises.readFile(`${partPath}.json`)
+        );
+        parts.push({ partNumber: Number(entry), etag, size });
+      }
+      return parts.sort((a, b) => a.partNumber - b.partNumber);
+    },
+
+    // parts: [{ partNumber, etag }] in any order
+    completeMultipartUpload: async (fileKey, uploadId, parts) => {
+      const upload = await readUploadInfo(uploadId);
+      if (!upload || upload.fileKey !== fileKey)
+        throw new Error("Upload not found");
+      const dir = resolveUploadDir(uploadId);
+      const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+
+      for (const part of ordered) {
+        const partPath = path.join(dir, String(Number(part.partNumber)));
+        let stored;
+        try {
+          stored = JSON.parse(await fs.promises.readFile(`${partPath}.json`));
+        } catch {
+          throw new Error(`Part ${part.partNumber} was not uploaded`);
+        }
+        if (stored.etag !== part.etag)
+          throw new Error(`ETag mismatch for part ${part.partNumber}`);
+      }
+
+      const filePath = resolvePath(fileKey);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${crypto.randomUUID()}.part`;
+      try {
+        const out = fs.createWriteStream(tmpPath);
+        for (const part of ordered) {
+          const partPath = path.join(dir, String(Number(part.partNumber)));
+          await pipeline(fs.createReadStream(partPath), out, { end: false });
+        }
+        out.end();
+        await new Promise((resolve, reject) => {
+          out.on("finish", resolve);
+          out.on("error", reject);
+        });
+        await fs.promises.rename(tmpPath, filePath);
+      } catch (err) {
+        await fs.promises.rm(tmpPath, { force: true });
+        throw err;
+      }
+
+      const { size } = await fs.promises.stat(filePath);
+      await fs.promises.writeFile(
+        metaPath(filePath),
+        JSON.stringify({ contentType: upload.contentType, size })
+      );
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      return { size };
+    },
+
+    abortMultipartUpload: async (fileKey, uploadId) => {
+      await fs.promises.rm(resolveUploadDir(uploadId), {
+        recursive: true,
+        force: true,
+      });
+    },
+  };
+
+  return driver;
+};
@@ -0,0 +1,147 @@
+// utils/storage/s3Driver.js
+import AWS from "aws-sdk";
+
+// ===== S3 storage driver =====
+// Presigned URLs are handed to the client, which talks to S3 directly.
+
+export const createS3Driver = () => {
+  const {
+    AWS_ACCESS_KEY_ID,
+    AWS_SECRET_ACCESS_KEY,
+    AWS_REGION,
+    S3_BUCKET_NAME,
+  } = process.env;
+
+  if (!AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY || !AWS_REGION) {
+    throw new Error(
+      "AWS credentials or region missing. Please set AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY and AWS_REGION in your .env (or use STORAGE_DRIVER=local)"
+    );
+  }
+
+  if (!S3_BUCKET_NAME) {
+    throw new Error("S3_BUCKET_NAME is not set in .env");
+  }
+
+  const s3 = new AWS.S3({
+    accessKeyId: AWS_ACCESS_KEY_ID,
+    secretAccessKey: AWS_SECRET_ACCESS_KEY,
+    region: AWS_REGION,
+  });
+  const BUCKET = S3_BUCKET_NAME;
+
+  return {
+    name: "s3",
+    client: s3,
+
+    getUploadURL: async (fileKey, fileType, expiresSec) =>
+      s3.getSignedUrlPromise("putObject", {
+        Bucket: BUCKET,
+        Key: fileKey,
+        ContentType: fileType,
+        Expires: expiresSec,
+      }),
+
+    getDownloadURL: async (fileKey, expiresSec) =>
+      s3.getSignedUrlPromise("getObject", {
+        Bucket: BUCKET,
+        Key: fileKey,
+        Expires: expiresSec,
+      }),
+
+    deleteObject: async (fileKey) =>
+      s3.deleteObject({ Bucket: BUCKET, Key: fileKey }).promise(),
+
+    // { size, contentType } of a stored object, or null if it doesn't exist
+    headObject: async (fileKey) => {
+      try {
+        const head = await s3
+          .headObject({ Bucket: BUCKET, Key: fileKey })
+          .promise();
+        return { size: head.ContentLength, contentType: head.ContentType };
+      } catch (err) {
+        if (err.code === "NotFound" || err.statusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    // Uploads a stream of unknown length (S3 managed multipart upload)
+    putObjectStream: async (fileKey, readable, contentType) =>
+      s3
+        .upload({
+          Bucket: BUCKET,
+          Key: fileKey,
+          Body: readable,
+          ContentType: contentType,
+        })
+        .promise(),
+
+    // Readable stream of the object's body
+    getObjectStream: async (fileKey) =>
+      s3.getObject({ Bucket: BUCKET, Key: fileKey }).createReadStream(),
+
+    // ===== Multipart uploads =====
+
+    createMultipartUpload: async (fileKey, fileType) => {
+      const { UploadId } = await s3
+        .createMultipartUpload({
+          Bucket: BUCKET,
+          Key: fileKey,
+          ContentType: fileType,
+        })
+        .promise();
+      return UploadId;
+    },
+
+    getUploadPartURL: async (fileKey, uploadId, partNumber, expiresSec) =>
+      s3.getSignedUrlPromise("uploadPart", {
+        Bucket: BUCKET,
+        Key: fileKey,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Expires: expiresSec,
+      }),
+
+    listParts: async (fileKey, uploadId) => {
+      const parts = [];
+      let marker;
+      do {
+        const page = await s3
+          .listParts({
+            Bucket: BUCKET,
+            Key: fileKey,
+            UploadId: uploadId,
+            PartNumberMarker: marker,
+          })
+          .promise();
+        for (const p of page.Parts || [])
+          parts.push({ partNumber: p.PartNumber, etag: p.ETag, size: p.Size });
+        marker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+      } while (marker);
+      return parts;
+    },
+
+    // parts: [{ partNumber, etag }] in any order
+    completeMultipartUpload: async (fileKey, uploadId, parts) =>
+      s3
+        .completeMultipartUpload({
+          Bucket: BUCKET,
+          Key: fileKey,
+          UploadId: uploadId,
+          MultipartUpload: {
+            Parts: [...parts]
+              .sort((a, b) => a.partNumber - b.partNumber)
+              .map((p) => ({ PartNumber: p.partNumber, ETag: p.etag })),
+          },
+        })
+        .promise(),
+
+    abortMultipartUpload: async (fileKey, uploadId) =>
+      s3
+        .abortMultipartUpload({
+          Bucket: BUCKET,
+          Key: fileKey,
+          UploadId: uploadId,
+        })
+        .promise(),
+  };
+};
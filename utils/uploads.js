@@ -0,0 +1,98 @@
+// utils/uploads.js
+import crypto from "crypto";
+import PendingUpload from "../Models/PendingUpload.js";
+import { getObjectInfo } from "./s3.js";
+
+// ===== Upload limits (configurable through .env) =====
+
+export const MAX_UPLOAD_BYTES =
+  Number(process.env.MAX_UPLOAD_SIZE_MB || 100) * 1024 * 1024;
+
+// Comma separated list of MIME types, e.g. "application/pdf,image/png".
+// Empty means any type is accepted.
+export const ALLOWED_UPLOAD_TYPES = (process.env.ALLOWED_UPLOAD_TYPES || "")
+  .split(",")
+  .map((t) => t.trim().toLowerCase())
+  .filter(Boolean);
+
+// How long an issued key stays valid for save-notes
+export const PENDING_UPLOAD_TTL_HOURS = Number(
+  process.env.PENDING_UPLOAD_TTL_HOURS || 24
+);
+
+const normalizeType = (type) =>
+  String(type || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+
+export const isAllowedType = (fileType) =>
+  !ALLOWED_UPLOAD_TYPES.length ||
+  ALLOWED_UPLOAD_TYPES.includes(normalizeType(fileType));
+
+// Returns a reason string if the announced metadata is unacceptable
+export const validateFileMeta = ({ originalName, fileType, size }) => {
+  if (!originalName) return "Missing originalName";
+  if (!fileType) return "Missing fileType";
+  if (!isAllowedType(fileType)) return `File type ${fileType} not allowed`;
+  if (size != null && Number(size) > MAX_UPLOAD_BYTES)
+    return `File exceeds ${MAX_UPLOAD_BYTES} bytes`;
+  return null;
+};
+
+// Storage key for a new upload; unique even for same-named files in one
+// batch. The client's name is cut to its basename and reduced to a safe
+// charset so it can't add path segments to the key.
+export const createFileKey = (originalName) => {
+  const safeName =
+    String(originalName)
+      .split(/[\\/]/)
+      .pop()
+      .replace(/[^\w.-]/g, "_") || "file";
+  return `uploads/${Date.now()}_${crypto.randomUUID()}_${safeName}`;
+};
+
+// Remember keys handed out by /upload so save-notes can check them later
+export const recordPendingUploads = async (userId, files) => {
+  const expiresAt = new Date(
+    Date.now() + PENDING_UPLOAD_TTL_HOURS * 60 * 60 * 1000
+  );
+  return PendingUpload.insertMany(
+    files.map((f) => ({
+      fileKey: f.fileKey,
+      originalName: f.originalName,
+      fileType: f.fileType,
+      size: f.size,
+      uploadedBy: userId,
+      expiresAt,
+    }))
+  );
+};
+
+// Checks that fileKey was issued to userId and that the stored object exists
+// and matches the announced type/size limits.
+// Resolves to { ok: true, pending, info } or { ok: false, reason }.
+export const verifyUploadedFile = async (userId, fileKey) => {
+  if (!fileKey) return { ok: false, reason: "Missing fileKey" };
+
+  const pending = await PendingUpload.findOne({
+    fileKey,
+    uploadedBy: userId,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!pending)
+    return { ok: false, reason: "File key was not issued to this user" };
+
+  const info = await getObjectInfo(fileKey);
+  if (!info) return { ok: false, reason: "File was not uploaded" };
+  if (!info.size) return { ok: false, reason: "Uploaded file is empty" };
+  if (info.size > MAX_UPLOAD_BYTES)
+    return { ok: false, reason: `File exceeds ${MAX_UPLOAD_BYTES} bytes` };
+  if (normalizeType(info.contentType) !== normalizeType(pending.fileType))
+    return {
+      ok: false,
+      reason: `Content type ${info.contentType} does not match ${pending.fileType}`,
+    };
+
+  return { ok: true, pending, info };
+};
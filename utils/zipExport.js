@@ -0,0 +1,122 @@
+// utils/zipExport.js
+import path from "path";
+import archiver from "archiver";
+import { getObjectInfo, getObjectStream } from "./s3.js";
+
+// flat:    Title.pdf
+// folders: Regulation/Branch/Sem N/Subject/Title.pdf
+export const ZIP_LAYOUTS = ["flat", "folders"];
+
+// Keep entry names valid on Windows/macOS/Linux and inside their folder
+const cleanSegment = (value) =>
+  String(value ?? "")
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, "_")
+    .replace(/^\.+/, "")
+    .trim() || "Untitled";
+
+// Expects regulation/branch/subject to be populated with their names
+const folderFor = (note) =>
+  [
+    note.regulation?.name,
+    note.branch?.name,
+    `Sem ${note.semester}`,
+    note.subject?.name,
+  ]
+    .map(cleanSegment)
+    .join("/");
+
+// "Unit 1.pdf", "Unit 1 (2).pdf", ... within the same folder
+const uniqueEntryName = (usedNames, folder, title, ext) => {
+  const base = cleanSegment(title);
+  let name = `${base}${ext}`;
+  for (let i = 2; usedNames.has(`${folder}/${name}`.toLowerCase()); i++)
+    name = `${base} (${i})${ext}`;
+  usedNames.add(`${folder}/${name}`.toLowerCase());
+  return folder ? `${folder}/${name}` : name;
+};
+
+// Resolves once archiver has consumed the entry that was just appended, so
+// only one storage download is open at a time
+export const appendEntry = (archive, source, name) =>
+  new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off("error", onError);
+      resolve();
+    };
+    const onError = (err) => {
+      archive.off("entry", onEntry);
+      reject(err);
+    };
+    archive.once("entry", onEntry);
+    archive.once("error", onError);
+    archive.append(source, { name });
+  });
+
+/**
+ * Streams a ZIP of the given notes into `output` as each file arrives.
+ * Files that can't be fetched are skipped and listed in manifest.json.
+ * Resolves to { included, failed } once the archive is finalized.
+ */
+export const streamNotesArchive = async (
+  notes,
+  output,
+  { layout = "flat", onProgress } = {}
+) => {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  let finished = false;
+
+  // Stop reading from storage if the client goes away mid-download
+  const closedEarly = new Promise((resolve, reject) =>
+    output.on("close", () => {
+      if (finished) return resolve();
+      archive.abort();
+      reject(new Error("Output closed before the archive was complete"));
+    })
+  );
+  closedEarly.catch(() => {});
+  archive.pipe(output);
+
+  const usedNames = new Set();
+  const included = [];
+  const failed = [];
+
+  for (const [index, note] of notes.entries()) {
+    const entry = { noteId: note._id, title: note.title };
+    let source;
+    try {
+      if (!note.fileKey) throw new Error("Note has no file");
+      if (!(await getObjectInfo(note.fileKey)))
+        throw new Error("File not found in storage");
+      source = await getObjectStream(note.fileKey);
+    } catch (err) {
+      failed.push({ ...entry, reason: err.message });
+    }
+
+    if (source) {
+      const folder = layout === "folders" ? folderFor(note) : "";
+      const name = uniqueEntryName(
+        usedNames,
+        folder,
+        note.title,
+        path.extname(note.fileKey)
+      );
+      // A stream failing half-way breaks the whole archive, so this throws
+      await Promise.race([appendEntry(archive, source, name), closedEarly]);
+      included.push({ ...entry, path: name });
+    }
+    if (onProgress) await onProgress(index + 1, notes.length);
+  }
+
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    layout,
+    totalNotes: notes.length,
+    included,
+    failed,
+  };
+  archive.append(JSON.stringify(manifest, null, 2), { name: "manifest.json" });
+
+  await Promise.race([archive.finalize(), closedEarly]);
+  finished = true;
+  return { included, failed };
+};